@@ -0,0 +1,38 @@
+// Page-wide state shared by every chart (e.g. the selected state).
+//
+// Usage: appState.set("state", "Texas");  appState.on("state", state => { ... });
+// A null value means "nothing selected" (for "state": nationwide).
+const appState = (function() {
+    const values = new Map();
+    const listeners = new Map();
+
+    function get(key) {
+        return values.has(key) ? values.get(key) : null;
+    }
+
+    // Store a value and notify the subscribers of that key (only when it changed). A subscriber that
+    // sets the key again has notified everyone of the newer value: the later ones skip this one
+    function set(key, value) {
+        const next = value === undefined || value === "" ? null : value;
+        const previous = get(key);
+        if (previous === next) return;
+        values.set(key, next);
+        (listeners.get(key) || []).forEach(fn => {
+            if (get(key) !== next) return;
+            try {
+                fn(next, previous);
+            } catch (err) {
+                console.error(`Error updating "${key}" subscriber:`, err);
+            }
+        });
+    }
+
+    // Subscribe to changes of a key; returns a function that unsubscribes
+    function on(key, fn) {
+        if (!listeners.has(key)) listeners.set(key, []);
+        listeners.get(key).push(fn);
+        return () => listeners.set(key, listeners.get(key).filter(f => f !== fn));
+    }
+
+    return { get, set, on };
+})();
@@ -0,0 +1,206 @@
+// ===========================
+// Bivariate map: two state metrics on one choropleth
+// ===========================
+// Each metric (see stateMetrics.METRICS) is cut in thirds of the states, and every state takes the
+// color of its pair of thirds in a 3×3 grid (the bivariate colors of the palette). The Pearson
+// correlation of the two metrics is written on the map. The metrics live in appState.bivariateX / bivariateY.
+dataLayer.load().then(function setupBivariateMap(data) {
+    // Without geometry the container already shows the error panel
+    if (!data.states.length) return;
+
+    try {
+        const w = 960, h = 600;
+        const DEFAULT_X = 'languages';
+        const DEFAULT_Y = 'limitedEnglish';
+        const CLASS_NAMES = ['low', 'middle', 'high'];
+        const populationYear = () => data.resolveYear(appState.get('year'));
+        const metricKey = (key, fallback) => stateMetrics.METRICS[appState.get(key)] ? appState.get(key) : fallback;
+
+        function bindMetricSelect(selector, key, fallback) {
+            const select = d3.select(selector);
+            select.selectAll('option')
+                .data(Object.keys(stateMetrics.METRICS))
+                .join('option')
+                .attr('value', d => d)
+                .text(d => stateMetrics.METRICS[d].label);
+            select.on('change', function() {
+                appState.set(key, this.value === fallback ? null : this.value);
+            });
+            return select;
+        }
+        const xSelect = bindMetricSelect('#bivariate-x-select', 'bivariateX', DEFAULT_X);
+        const ySelect = bindMetricSelect('#bivariate-y-select', 'bivariateY', DEFAULT_Y);
+
+        const svgBivariate = d3.select('#bivariate-map-container').append('svg')
+            .attr('width', '100%')
+            .attr('viewBox', `0 0 ${w} ${h}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const bivariatePath = compositeStatePath(data.states, w / 2, h / 2, 850);
+
+        // States with both metrics known: { state, x, y, xClass, yClass } (for the tooltip and the CSV export)
+        let bivariateByState = new Map();
+
+        // Both values of a state with their thirds (lines of the tooltip, parts of the aria-label)
+        function stateFigures(stateName) {
+            const d = bivariateByState.get(stateName);
+            if (!d) return [data.hasSurveyData(stateName) ? 'No data' : 'No survey data'];
+            const X = stateMetrics.METRICS[metricKey('bivariateX', DEFAULT_X)];
+            const Y = stateMetrics.METRICS[metricKey('bivariateY', DEFAULT_Y)];
+            return [
+                `${X.label}: ${X.format(d.x)} (${CLASS_NAMES[d.xClass]})`,
+                `${Y.label}: ${Y.format(d.y)} (${CLASS_NAMES[d.yClass]})`
+            ];
+        }
+
+        const tooltipHtml = stateName => [`<strong>${stateName}</strong>`].concat(stateFigures(stateName)).join('<br/>');
+
+        drawMapInsets(svgBivariate, bivariatePath);
+        const statePaths = svgBivariate.append('g')
+            .selectAll('path.state')
+            .data(data.states)
+            .join('path')
+            .attr('class', 'state')
+            .attr('d', bivariatePath)
+            .attr('fill', '#f0f0f0')
+            .attr('stroke', '#fff')
+            .attr('stroke-width', 0.8)
+            .style('cursor', 'pointer')
+            .on('mouseenter', (event, d) => showTooltip(event, tooltipHtml(featureState(d))))
+            .on('mousemove', moveTooltip)
+            .on('mouseleave', hideTooltip)
+            .on('click', (event, d) => selectMapState(data, d));
+        markNoSurveyData(statePaths, data);
+        highlightSelectedState(statePaths);
+
+        const correlationText = svgBivariate.append('text')
+            .attr('class', 'bivariate-correlation')
+            .attr('x', 20)
+            .attr('y', 28);
+
+        // 3×3 legend: the horizontal metric grows to the right, the vertical one upwards
+        const cell = 34;
+        const legend = svgBivariate.append('g')
+            .attr('class', 'bivariate-legend')
+            .attr('transform', `translate(${w - 3 * cell - 150},${h - 3 * cell - 50})`);
+
+        function drawLegend(X, Y, colors, xThresholds, yThresholds) {
+            legend.selectAll('*').remove();
+            legend.selectAll('rect')
+                .data(d3.cross([0, 1, 2], [0, 1, 2]))
+                .join('rect')
+                .attr('x', ([xClass]) => xClass * cell)
+                .attr('y', ([, yClass]) => (2 - yClass) * cell)
+                .attr('width', cell)
+                .attr('height', cell)
+                .attr('fill', ([xClass, yClass]) => colors[yClass * 3 + xClass]);
+
+            // thresholds between the thirds
+            legend.selectAll('text.bivariate-x-tick')
+                .data(xThresholds)
+                .join('text')
+                .attr('class', 'bivariate-tick bivariate-x-tick')
+                .attr('x', (d, i) => (i + 1) * cell)
+                .attr('y', 3 * cell + 11)
+                .attr('text-anchor', 'middle')
+                .text(d => X.format(d));
+            legend.selectAll('text.bivariate-y-tick')
+                .data(yThresholds)
+                .join('text')
+                .attr('class', 'bivariate-tick bivariate-y-tick')
+                .attr('x', -4)
+                .attr('y', (d, i) => (2 - i) * cell + 3)
+                .attr('text-anchor', 'end')
+                .text(d => Y.format(d));
+
+            legend.append('text')
+                .attr('class', 'bivariate-axis-label')
+                .attr('x', 0)
+                .attr('y', 3 * cell + 26)
+                .text(`${X.label} →`);
+            legend.append('text')
+                .attr('class', 'bivariate-axis-label')
+                .attr('transform', `translate(${3 * cell + 14},${3 * cell}) rotate(-90)`)
+                .text(`${Y.label} →`);
+        }
+
+        function renderBivariateMap() {
+            const xKey = metricKey('bivariateX', DEFAULT_X);
+            const yKey = metricKey('bivariateY', DEFAULT_Y);
+            xSelect.property('value', xKey);
+            ySelect.property('value', yKey);
+            const X = stateMetrics.METRICS[xKey];
+            const Y = stateMetrics.METRICS[yKey];
+            const year = populationYear();
+
+            const items = data.stateList
+                .map(state => ({ state, x: X.value(data, state, year), y: Y.value(data, state, year) }))
+                .filter(d => d.x != null && !isNaN(d.x) && d.y != null && !isNaN(d.y));
+
+            // thirds of the states on each metric
+            const xThirds = d3.scaleQuantile().domain(items.map(d => d.x)).range([0, 1, 2]);
+            const yThirds = d3.scaleQuantile().domain(items.map(d => d.y)).range([0, 1, 2]);
+            items.forEach(d => {
+                d.xClass = xThirds(d.x);
+                d.yClass = yThirds(d.y);
+            });
+            bivariateByState = new Map(items.map(d => [d.state, d]));
+
+            const colors = colorSchemes.currentPalette().bivariate;
+            statePaths.transition()
+                .duration(transitionDuration())
+                .attr('fill', f => {
+                    const d = bivariateByState.get(featureState(f));
+                    return d ? colors[d.yClass * 3 + d.xClass] : '#f0f0f0';
+                });
+
+            const r = stateMetrics.correlation(items.map(d => d.x), items.map(d => d.y));
+            correlationText.text(r == null
+                ? 'Correlation not defined for these metrics'
+                : `Pearson correlation across ${items.length} states: r = ${r.toFixed(2)} (${stateMetrics.describeCorrelation(r)})`);
+
+            drawLegend(X, Y, colors, xThirds.quantiles(), yThirds.quantiles());
+        }
+
+        scopeMapJurisdictions(svgBivariate);
+        renderBivariateMap();
+
+        chartExport.register({
+            container: '#bivariate-map-container',
+            name: 'bivariate-map',
+            rows: () => {
+                const X = stateMetrics.METRICS[metricKey('bivariateX', DEFAULT_X)];
+                const Y = stateMetrics.METRICS[metricKey('bivariateY', DEFAULT_Y)];
+                return Array.from(bivariateByState.values(), d => ({
+                    State: d.state,
+                    [X.label]: d.x,
+                    [`${X.label} (third)`]: CLASS_NAMES[d.xClass],
+                    [Y.label]: d.y,
+                    [`${Y.label} (third)`]: CLASS_NAMES[d.yClass]
+                }));
+            }
+        });
+
+        chartA11y.register({
+            container: '#bivariate-map-container',
+            title: () => `Map of ${stateMetrics.METRICS[metricKey('bivariateX', DEFAULT_X)].label} and ${stateMetrics.METRICS[metricKey('bivariateY', DEFAULT_Y)].label}`,
+            marks: 'path.state',
+            markName: 'states',
+            label: f => `${featureState(f)}: ${stateFigures(featureState(f)).join(', ')}` +
+                (featureState(f) === appState.get('state') ? ', selected' : ''),
+            selectable: true
+        });
+
+        appState.on('bivariateX', renderBivariateMap);
+        appState.on('bivariateY', renderBivariateMap);
+        appState.on('year', renderBivariateMap);
+        appState.on('palette', renderBivariateMap);
+        appState.on('includeNonStates', () => {
+            scopeMapJurisdictions(svgBivariate);
+            renderBivariateMap();
+        });
+        appState.on('state', () => highlightSelectedState(statePaths));
+    } catch (err) {
+        console.error('Error rendering bivariate map:', err);
+    }
+});
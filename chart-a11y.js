@@ -0,0 +1,246 @@
+// Keyboard, touch and screen-reader access to the charts.
+//
+// Usage: chartA11y.register({ container: "#bar-container", title: "Top 15 languages", marks: ".bar rect",
+//                             markName: "languages", label: d => `${d.lang}: ${d.total} speakers`, navigation: "list" });
+// Every mark (state, bar, point, slice) becomes focusable with one tab stop per chart: the arrow keys
+// move between the marks (to the nearest one in that direction for "spatial" charts such as maps, in
+// document order for "list" charts), Enter or Space clicks the focused mark, and focusing a mark
+// shows its tooltip as hovering would. title is a string or a function (for charts whose subject
+// changes); label(d, node) gives the aria-label of a mark (marks without
+// one keep the aria-label their chart sets). A visually hidden table after the container lists the
+// rows registered with chartExport for the same container.
+//
+// On touch screens, where nothing hovers, the first tap on a mark shows its tooltip and a second tap
+// on the same mark clicks it; tapping anywhere else hides the tooltip.
+//
+// Charts need no extra call when they redraw: the container is watched and refreshed once it settles.
+const chartA11y = (function() {
+    // Attributes whose changes mean a chart was redrawn (not the ones set here, to avoid loops)
+    const WATCHED_ATTRIBUTES = ["class", "d", "fill", "transform", "width", "height", "pointer-events"];
+    const REFRESH_DELAY = 200;
+
+    // Mark whose tooltip was opened by a tap, and the kind of pointer pressed last
+    let tappedMark = null;
+    let lastPointerType = "mouse";
+
+    document.addEventListener("pointerdown", event => {
+        lastPointerType = event.pointerType;
+        if (tappedMark && !tappedMark.contains(event.target)) {
+            if (tappedMark.isConnected) hover(tappedMark, false);
+            tappedMark = null;
+        }
+    }, true);
+    // Enter on a focused mark sends a click too, which must not count as a tap
+    document.addEventListener("keydown", () => { lastPointerType = "keyboard"; }, true);
+
+    const ARROWS = {
+        ArrowRight: { dx: 1, dy: 0, step: 1 },
+        ArrowDown: { dx: 0, dy: 1, step: 1 },
+        ArrowLeft: { dx: -1, dy: 0, step: -1 },
+        ArrowUp: { dx: 0, dy: -1, step: -1 }
+    };
+
+    const formatCell = value => typeof value === "number"
+        ? value.toLocaleString(undefined, { maximumFractionDigits: 2 })
+        : (value == null ? "" : String(value));
+
+    // Marks that can currently be reached (hidden or disabled ones are skipped)
+    function marksOf(reg, root) {
+        return Array.from(root.querySelectorAll(reg.marks)).filter(node =>
+            node.getAttribute("pointer-events") !== "none" && node.style.display !== "none" && node.style.pointerEvents !== "none");
+    }
+
+    const titleOf = reg => typeof reg.title === "function" ? reg.title() : reg.title;
+
+    function centre(node) {
+        const box = node.getBoundingClientRect();
+        return { x: box.left + box.width / 2, y: box.top + box.height / 2, empty: !box.width && !box.height };
+    }
+
+    // Nearest mark in the direction of the arrow (favouring marks in line with the current one)
+    function nearestInDirection(marks, current, arrow) {
+        const from = centre(current);
+        let best = null, bestScore = Infinity;
+        marks.forEach(node => {
+            if (node === current) return;
+            const to = centre(node);
+            const along = (to.x - from.x) * arrow.dx + (to.y - from.y) * arrow.dy;
+            if (along <= 0) return;
+            const across = Math.abs((to.x - from.x) * arrow.dy + (to.y - from.y) * arrow.dx);
+            const score = along + 2 * across;
+            if (score < bestScore) {
+                bestScore = score;
+                best = node;
+            }
+        });
+        return best;
+    }
+
+    function nextMark(reg, marks, current, key) {
+        const index = marks.indexOf(current);
+        if (key === "Home") return marks[0];
+        if (key === "End") return marks[marks.length - 1];
+        const arrow = ARROWS[key];
+        // without layout (e.g. a hidden chart) spatial navigation falls back to the document order
+        if (reg.navigation === "spatial" && !centre(current).empty) return nearestInDirection(marks, current, arrow);
+        return marks[index + arrow.step] || null;
+    }
+
+    // Fake the mouse events of the mark so its chart shows (or hides) the tooltip
+    function hover(node, entering) {
+        const box = node.getBoundingClientRect();
+        const init = { clientX: box.left + box.width / 2, clientY: box.top + box.height / 2 };
+        const types = entering ? ["mouseover", "mouseenter", "mousemove"] : ["mouseout", "mouseleave"];
+        types.forEach(type => node.dispatchEvent(new MouseEvent(type, Object.assign({ bubbles: type !== "mouseenter" && type !== "mouseleave" }, init))));
+    }
+
+    function focusMark(reg, node) {
+        reg.active = node;
+        node.setAttribute("tabindex", "0");
+        node.focus();
+    }
+
+    function renderTable(reg, root) {
+        let holder = reg.tableHolder;
+        if (!holder || !holder.isConnected) {
+            holder = document.createElement("div");
+            holder.className = "sr-only";
+            holder.id = `${reg.id}-data`;
+            root.parentNode.insertBefore(holder, root.nextSibling);
+            reg.tableHolder = holder;
+        }
+
+        let rows = [];
+        try {
+            rows = chartExport.rowsFor(reg.container) || [];
+        } catch (err) {
+            console.error(`Error listing the data of ${reg.container}:`, err);
+        }
+        const columns = rows.length ? Object.keys(rows[0]) : [];
+
+        const table = d3.select(holder).selectAll("table").data([0]).join("table");
+        table.selectAll("caption").data([0]).join("caption").text(`${titleOf(reg)} (data table)`);
+        table.selectAll("thead").data([0]).join("thead")
+            .selectAll("tr").data([columns]).join("tr")
+            .selectAll("th").data(d => d).join("th")
+            .attr("scope", "col")
+            .text(d => d);
+        table.selectAll("tbody").data([0]).join("tbody")
+            .selectAll("tr").data(rows).join("tr")
+            .selectAll("td").data(row => columns.map(column => row[column])).join("td")
+            .text(formatCell);
+    }
+
+    // Roles, labels and tab stops of the marks, then the data table
+    function refresh(reg) {
+        const root = document.querySelector(reg.container);
+        if (!root) return;
+        const marks = marksOf(reg, root);
+
+        root.querySelectorAll("svg").forEach(svgNode => {
+            svgNode.setAttribute("role", "group");
+            svgNode.setAttribute("aria-label", marks.length
+                ? `${titleOf(reg)}. Use the arrow keys to move between the ${marks.length} ${reg.markName}` + (reg.selectable ? ", Enter to select one." : ".")
+                : titleOf(reg));
+        });
+
+        // the focus is moved along when the focused mark was redrawn or hidden (e.g. a zoomed-out arc)
+        const focused = document.activeElement;
+        const focusLost = reg.active && (reg.active.isConnected
+            ? focused === reg.active && !marks.includes(reg.active)
+            : !focused || focused === document.body);
+        root.querySelectorAll(reg.marks).forEach(node => {
+            if (!marks.includes(node)) node.removeAttribute("tabindex");
+        });
+        marks.forEach(node => {
+            node.setAttribute("role", reg.selectable ? "button" : "img");
+            node.setAttribute("tabindex", "-1");
+            if (reg.label) {
+                try {
+                    node.setAttribute("aria-label", reg.label(node.__data__, node));
+                } catch (err) {
+                    console.error(`Error labelling a mark of ${reg.container}:`, err);
+                }
+            }
+        });
+        if (marks.length) {
+            // keep the tab stop on the same mark (or its replacement at the same place) across redraws
+            const active = marks.includes(reg.active) ? reg.active : (marks[reg.activeIndex] || marks[0]);
+            reg.active = active;
+            active.setAttribute("tabindex", "0");
+            if (focusLost) active.focus();
+        }
+
+        renderTable(reg, root);
+    }
+
+    function register({ container, title, marks, markName = "marks", label = null, navigation = "spatial", selectable = false }) {
+        const root = document.querySelector(container);
+        if (!root) return;
+
+        const reg = { container, title, marks, markName, label, navigation, selectable, id: container.replace(/[^\w-]/g, ""), active: null, activeIndex: 0 };
+
+        let timer = null;
+        const scheduleRefresh = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => refresh(reg), REFRESH_DELAY);
+        };
+        new MutationObserver(scheduleRefresh).observe(root, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: WATCHED_ATTRIBUTES
+        });
+
+        const markOf = target => target && target.matches && target.matches(reg.marks) && root.contains(target) ? target : null;
+
+        root.addEventListener("focusin", event => {
+            const node = markOf(event.target);
+            if (!node) return;
+            const marksNow = marksOf(reg, root);
+            if (reg.active && reg.active !== node) reg.active.setAttribute("tabindex", "-1");
+            reg.active = node;
+            reg.activeIndex = Math.max(0, marksNow.indexOf(node));
+            node.setAttribute("tabindex", "0");
+            hover(node, true);
+        });
+        root.addEventListener("focusout", event => {
+            const node = markOf(event.target);
+            if (node) hover(node, false);
+        });
+
+        // First tap: tooltip only (the click is stopped before it reaches the mark)
+        root.addEventListener("click", event => {
+            if (lastPointerType !== "touch" || !event.target.closest) return;
+            const node = event.target.closest(reg.marks);
+            if (!node || !root.contains(node) || node === tappedMark) return;
+            event.stopPropagation();
+            tappedMark = node;
+            hover(node, true);
+        }, true);
+
+        root.addEventListener("keydown", event => {
+            const node = markOf(event.target);
+            if (!node) return;
+            if (event.key === "Enter" || event.key === " ") {
+                event.preventDefault();
+                node.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+                // charts that bring the selected mark to the front move it in the DOM, which drops the focus
+                if (node.isConnected && document.activeElement !== node) node.focus();
+                return;
+            }
+            if (!ARROWS[event.key] && event.key !== "Home" && event.key !== "End") return;
+            event.preventDefault();
+            const next = nextMark(reg, marksOf(reg, root), node, event.key);
+            if (next) {
+                node.setAttribute("tabindex", "-1");
+                focusMark(reg, next);
+            }
+        });
+
+        refresh(reg);
+    }
+
+    return { register };
+})();
@@ -0,0 +1,227 @@
+// Export menu for the charts: standalone SVG, PNG and CSV of the plotted data.
+//
+// Usage: chartExport.register({ container: "#bar-container", name: "top-languages", rows: () => [...] });
+// rows() returns the data the chart currently plots, one object per CSV line. The menu is
+// inserted before `anchor` (the container by default) so charts that clear their container keep it.
+// rowsFor(container) gives the rows registered for a container (used by the accessible data tables).
+const chartExport = (function() {
+    const SVG_NS = "http://www.w3.org/2000/svg";
+
+    // Fonts embedded in exported SVG/PNG files (latin subset only, to keep the files small)
+    const FONT_CSS = "https://fonts.googleapis.com/css2?family=Fira+Sans:wght@400;500;700&display=swap";
+
+    // Presentation properties copied from the page styles onto every exported element
+    const INLINED_STYLES = [
+        "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+        "opacity", "font-family", "font-size", "font-weight", "font-style", "text-anchor", "visibility"
+    ];
+
+    const PNG_SCALES = [1, 2, 3, 4];
+
+    // container -> rows() of the registered charts
+    const rowsByContainer = new Map();
+
+    // Save a blob under a file name
+    function download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // revoked on the next tick: some browsers start the download asynchronously
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function downloadCsv(rows, fileName) {
+        download(new Blob([d3.csvFormat(rows)], { type: "text/csv;charset=utf-8" }), fileName);
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // @font-face rules with the font files inlined as data URLs (fetched once; "" when offline)
+    let fontCss = null;
+    function embeddedFontCss() {
+        if (!fontCss) {
+            fontCss = fetch(FONT_CSS)
+                .then(response => {
+                    if (!response.ok) throw new Error(`${FONT_CSS} (${response.status})`);
+                    return response.text();
+                })
+                .then(css => {
+                    const blocks = css.split(/(?=\/\*)/).filter(block => /^\/\* latin \*\//.test(block));
+                    return Promise.all(blocks.map(inlineFontUrls));
+                })
+                .then(blocks => blocks.join("\n"))
+                .catch(err => {
+                    console.warn("Could not embed the chart fonts:", err);
+                    return "";
+                });
+        }
+        return fontCss;
+    }
+
+    function inlineFontUrls(block) {
+        const urls = block.match(/url\([^)]+\)/g) || [];
+        return Promise.all(urls.map(match => {
+            const url = match.slice(4, -1).replace(/["']/g, "");
+            return fetch(url)
+                .then(response => response.blob())
+                .then(blobToDataUrl)
+                .then(dataUrl => [match, `url(${dataUrl})`]);
+        })).then(pairs => pairs.reduce((css, [from, to]) => css.replace(from, to), block));
+    }
+
+    // Copy the computed presentation styles of every element of the source onto its clone
+    function inlineStyles(source, clone) {
+        const sources = [source].concat(Array.from(source.querySelectorAll("*")));
+        const clones = [clone].concat(Array.from(clone.querySelectorAll("*")));
+        sources.forEach((node, i) => {
+            const computed = window.getComputedStyle(node);
+            const style = INLINED_STYLES
+                .map(prop => [prop, computed.getPropertyValue(prop)])
+                .filter(([, value]) => value)
+                .map(([prop, value]) => `${prop}:${value}`)
+                .join(";");
+            if (style) clones[i].setAttribute("style", style);
+        });
+    }
+
+    // Drawing size of an SVG: its viewBox, else its width/height attributes, else its box on screen
+    function svgBox(svgNode) {
+        const viewBox = (svgNode.getAttribute("viewBox") || "").split(/[\s,]+/).map(Number);
+        if (viewBox.length === 4 && viewBox.every(v => !isNaN(v)) && viewBox[2] > 0) {
+            return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+        }
+        const width = parseFloat(svgNode.getAttribute("width"));
+        const height = parseFloat(svgNode.getAttribute("height"));
+        if (width > 0 && height > 0 && !/%/.test(svgNode.getAttribute("width"))) return { x: 0, y: 0, width, height };
+        const rect = svgNode.getBoundingClientRect();
+        return { x: 0, y: 0, width: rect.width || 960, height: rect.height || 600 };
+    }
+
+    // Self-contained SVG markup (styles inlined, fonts embedded, white background)
+    function standaloneSvg(svgNode) {
+        return embeddedFontCss().then(css => {
+            const box = svgBox(svgNode);
+            const clone = svgNode.cloneNode(true);
+            inlineStyles(svgNode, clone);
+            clone.setAttribute("viewBox", `${box.x} ${box.y} ${box.width} ${box.height}`);
+            clone.setAttribute("width", box.width);
+            clone.setAttribute("height", box.height);
+
+            const background = document.createElementNS(SVG_NS, "rect");
+            background.setAttribute("x", box.x);
+            background.setAttribute("y", box.y);
+            background.setAttribute("width", box.width);
+            background.setAttribute("height", box.height);
+            background.setAttribute("fill", "#fff");
+            clone.insertBefore(background, clone.firstChild);
+
+            if (css) {
+                const style = document.createElementNS(SVG_NS, "style");
+                style.textContent = css;
+                clone.insertBefore(style, clone.firstChild);
+            }
+            return { markup: new XMLSerializer().serializeToString(clone), width: box.width, height: box.height };
+        });
+    }
+
+    function exportSvg(svgNode, name) {
+        return standaloneSvg(svgNode).then(({ markup }) => {
+            download(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), `${name}.svg`);
+        });
+    }
+
+    // Rasterize the standalone SVG on a canvas `scale` times its drawing size
+    function exportPng(svgNode, name, scale) {
+        return standaloneSvg(svgNode).then(({ markup, width, height }) => new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const canvas = document.createElement("canvas");
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const context = canvas.getContext("2d");
+                context.fillStyle = "#fff";
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(blob => {
+                    if (!blob) return reject(new Error("the canvas could not be encoded as PNG"));
+                    download(blob, `${name}.png`);
+                    resolve();
+                }, "image/png");
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("the SVG could not be rasterized"));
+            };
+            image.src = url;
+        }));
+    }
+
+    // Add the export menu of a chart
+    function register({ container, name, rows, anchor = container }) {
+        const anchorNode = document.querySelector(anchor);
+        if (!anchorNode) return;
+        rowsByContainer.set(container, rows);
+
+        const menu = d3.select(anchorNode.parentNode)
+            .insert("details", () => anchorNode)
+            .attr("class", "export-menu");
+        menu.append("summary").text("Export");
+        const items = menu.append("div").attr("class", "export-menu-items");
+
+        const svgNode = () => document.querySelector(`${container} svg`);
+        const fail = err => console.error(`Error exporting ${name}:`, err);
+
+        items.append("button")
+            .attr("type", "button")
+            .text("SVG")
+            .on("click", () => {
+                if (svgNode()) exportSvg(svgNode(), name).catch(fail);
+            });
+
+        const scaleSelect = items.append("select")
+            .attr("aria-label", "PNG resolution");
+        scaleSelect.selectAll("option")
+            .data(PNG_SCALES)
+            .join("option")
+            .attr("value", d => d)
+            .text(d => `${d}×`);
+        scaleSelect.property("value", 2);
+        items.append("button")
+            .attr("type", "button")
+            .text("PNG")
+            .on("click", () => {
+                if (svgNode()) exportPng(svgNode(), name, +scaleSelect.property("value")).catch(fail);
+            });
+
+        items.append("button")
+            .attr("type", "button")
+            .text("CSV")
+            .on("click", () => {
+                try {
+                    downloadCsv(rows(), `${name}.csv`);
+                } catch (err) {
+                    fail(err);
+                }
+            });
+    }
+
+    // Rows currently plotted by the chart of a container ([] when none is registered)
+    function rowsFor(container) {
+        return rowsByContainer.has(container) ? rowsByContainer.get(container)() : [];
+    }
+
+    return { register, rowsFor, download, downloadCsv, standaloneSvg };
+})();
@@ -0,0 +1,213 @@
+// Color schemes of the charts: how the choropleths classify their values, and the palettes.
+//
+// classify(values, method, interpolator) turns the values of a map into a color scale:
+// a continuous ramp, or CLASS_COUNT classes cut by quantiles, equal intervals or natural breaks (Jenks).
+// The palette (appState.palette) gives the categorical colors of the pies and bars, the
+// sequential ramp of each map, the diverging ramp of the change views and the 3×3 grid of the
+// bivariate map; drawLegendBar() draws the matching gradient or stepped legend.
+const colorSchemes = (function() {
+    const CLASS_COUNT = 5;
+
+    const CLASSIFICATIONS = {
+        continuous: { label: 'Continuous' },
+        quantile: { label: 'Quantiles' },
+        equal: { label: 'Equal intervals' },
+        jenks: { label: 'Natural breaks (Jenks)' }
+    };
+
+    // Ramps run from light (low values) to dark (high values)
+    const reversed = interpolator => t => interpolator(1 - t);
+
+    // Sequential ramps are given per map: "main" (languages by state), "english" (English proficiency)
+    // and "language" (speakers of one language). Diverging ramps run from losses (0) through no
+    // change (0.5) to gains (1). Bivariate grids are listed row by row from the
+    // lowest third of the vertical metric, each row from the lowest third of the horizontal one.
+    const PALETTES = {
+        default: {
+            label: 'Default',
+            categorical: d3.schemeCategory10,
+            sequential: {
+                main: d3.interpolateRgb('#deebf7', '#08306b'),
+                english: d3.interpolateRgb('#fee5d9', '#a50f15'),
+                language: d3.interpolateRgb('#e5f5e0', '#006d2c')
+            },
+            diverging: d3.interpolateRdBu,
+            bivariate: ['#e8e8e8', '#e4acac', '#c85a5a', '#b0d5df', '#ad9ea5', '#985356', '#64acbe', '#627f8c', '#574249']
+        },
+        okabeIto: {
+            label: 'Okabe–Ito and cividis (colorblind-safe)',
+            categorical: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'],
+            sequential: {
+                main: reversed(d3.interpolateCividis),
+                english: reversed(d3.interpolateCividis),
+                language: reversed(d3.interpolateCividis)
+            },
+            diverging: d3.interpolatePuOr,
+            bivariate: ['#e8e8e8', '#ace4e4', '#5ac8c8', '#dfb0d6', '#a5add3', '#5698b9', '#be64ac', '#8c62aa', '#3b4994']
+        },
+        tol: {
+            label: 'Paul Tol and viridis (colorblind-safe)',
+            categorical: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'],
+            sequential: {
+                main: reversed(d3.interpolateViridis),
+                english: reversed(d3.interpolateViridis),
+                language: reversed(d3.interpolateViridis)
+            },
+            diverging: d3.interpolateBrBG,
+            bivariate: ['#e8e8e8', '#ace4e4', '#5ac8c8', '#dfb0d6', '#a5add3', '#5698b9', '#be64ac', '#8c62aa', '#3b4994']
+        }
+    };
+
+    function currentPalette() {
+        return PALETTES[appState.get('palette')] || PALETTES.default;
+    }
+
+    // Classification stored under an appState key (continuous by default)
+    function classificationOf(key) {
+        return CLASSIFICATIONS[appState.get(key)] ? appState.get(key) : 'continuous';
+    }
+
+    // Fisher-Jenks natural breaks: the `classes - 1` thresholds (lowest value of every class but the first)
+    // that minimize the squared deviations of the values from their class means
+    function jenksBreaks(values, classes) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const n = sorted.length;
+        if (n <= classes) return sorted.slice(1);
+
+        // lower[l][j]: 1-based index of the first value of the last class when splitting the l first values in j classes
+        const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+        const variance = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+        for (let j = 1; j <= classes; j++) {
+            lower[1][j] = 1;
+            variance[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0, sumSquares = 0, v = 0;
+            for (let m = 1; m <= l; m++) {
+                const first = l - m + 1;
+                const value = sorted[first - 1];
+                sum += value;
+                sumSquares += value * value;
+                v = sumSquares - (sum * sum) / m;
+                if (first > 1) {
+                    for (let j = 2; j <= classes; j++) {
+                        if (variance[l][j] >= v + variance[first - 1][j - 1]) {
+                            lower[l][j] = first;
+                            variance[l][j] = v + variance[first - 1][j - 1];
+                        }
+                    }
+                }
+            }
+            lower[l][1] = 1;
+            variance[l][1] = v;
+        }
+
+        const thresholds = [];
+        let k = n;
+        for (let j = classes; j >= 2; j--) {
+            const first = lower[k][j];
+            thresholds.unshift(sorted[first - 1]);
+            k = first - 1;
+        }
+        return thresholds;
+    }
+
+    // Color scale of a map: { color(v), domain: [min, max], interpolator, classes }
+    // where classes is null for a continuous ramp, else [{ from, to, color }] from low to high
+    function classify(values, method, interpolator, count = CLASS_COUNT) {
+        const finite = values.filter(v => v != null && !isNaN(v));
+        let [min, max] = finite.length ? d3.extent(finite) : [0, 1];
+        if (min === max) {
+            min = Math.min(0, min);
+            max = max || 1;
+        }
+
+        if (!CLASSIFICATIONS[method] || method === 'continuous') {
+            return {
+                color: d3.scaleSequential(interpolator).domain([min, max]),
+                domain: [min, max],
+                interpolator,
+                classes: null
+            };
+        }
+
+        let thresholds;
+        if (method === 'quantile') thresholds = d3.scaleQuantile().domain(finite).range(d3.range(count)).quantiles();
+        else if (method === 'equal') thresholds = d3.range(1, count).map(i => min + (max - min) * i / count);
+        else thresholds = jenksBreaks(finite, count);
+        // classes that would be empty (repeated or out-of-range thresholds) are dropped
+        thresholds = Array.from(new Set(thresholds)).filter(t => t > min && t <= max);
+
+        const colors = thresholds.length ? d3.quantize(interpolator, thresholds.length + 1) : [interpolator(1)];
+        const bounds = [min].concat(thresholds, [max]);
+        return {
+            color: d3.scaleThreshold().domain(thresholds).range(colors),
+            domain: [min, max],
+            interpolator,
+            classes: colors.map((color, i) => ({ from: bounds[i], to: bounds[i + 1], color }))
+        };
+    }
+
+    // Diverging color scale centred on zero, in the same shape as classify(): the domain is symmetric
+    // and capped at the 95th percentile of the absolute values, so one outlier does not wash out the rest
+    function diverging(values, interpolator) {
+        const magnitudes = values.filter(v => v != null && !isNaN(v)).map(Math.abs).sort(d3.ascending);
+        const extent = d3.quantileSorted(magnitudes, 0.95) || magnitudes[magnitudes.length - 1] || 1;
+        return {
+            color: d3.scaleDiverging(interpolator).domain([-extent, 0, extent]).clamp(true),
+            domain: [-extent, extent],
+            interpolator,
+            classes: null
+        };
+    }
+
+    // Draw the color bar of a scale in `group` (emptied first): a gradient for a continuous ramp,
+    // one box per class otherwise, with the class bounds as ticks
+    function drawLegendBar(group, scheme, { width, height, tickFormat, gradientId }) {
+        group.selectAll('*').remove();
+
+        let axis;
+        if (!scheme.classes) {
+            const gradient = group.append('defs').append('linearGradient').attr('id', gradientId);
+            gradient.selectAll('stop')
+                .data(d3.range(0, 1.0001, 0.1))
+                .join('stop')
+                .attr('offset', t => `${Math.round(t * 100)}%`)
+                .attr('stop-color', t => scheme.interpolator(t));
+            group.append('rect')
+                .attr('width', width)
+                .attr('height', height)
+                .attr('fill', `url(#${gradientId})`)
+                .attr('stroke', '#ccc');
+            axis = d3.axisBottom(d3.scaleLinear().domain(scheme.domain).range([0, width]))
+                .ticks(4)
+                .tickFormat(tickFormat);
+        } else {
+            const count = scheme.classes.length;
+            const step = width / count;
+            group.selectAll('rect.legend-class')
+                .data(scheme.classes)
+                .join('rect')
+                .attr('class', 'legend-class')
+                .attr('x', (d, i) => i * step)
+                .attr('width', step)
+                .attr('height', height)
+                .attr('fill', d => d.color)
+                .attr('stroke', '#fff');
+            const bounds = [scheme.classes[0].from].concat(scheme.classes.map(d => d.to));
+            axis = d3.axisBottom(d3.scaleLinear().domain([0, count]).range([0, width]))
+                .tickValues(d3.range(count + 1))
+                .tickFormat(i => tickFormat(bounds[i]));
+        }
+
+        group.append('g')
+            .attr('transform', `translate(0,${height})`)
+            .call(axis)
+            .selectAll('text')
+            .attr('font-size', 10)
+            .attr('font-family', 'Fira Sans, sans-serif');
+    }
+
+    return { CLASS_COUNT, CLASSIFICATIONS, PALETTES, currentPalette, classificationOf, jenksBreaks, classify, diverging, drawLegendBar };
+})();
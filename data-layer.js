@@ -0,0 +1,757 @@
+// Shared data layer: loads the language CSV, the population CSV and the state geometry
+// once, and precomputes the indexes every visualization reads from.
+//
+// Usage: dataLayer.load().then(data => { ... });  (the same promise is returned on every call)
+//
+// The language CSVs are listed in data/vintages.json, one per ACS release ("vintage"), each with
+// the columns of its file mapped onto the fields below. `data` holds the indexes of the first one;
+// data.vintage(key) returns those of any loaded vintage, for the change views.
+const dataLayer = (function() {
+    // State geometry sources, tried in order: the us-atlas copy bundled in data/ first,
+    // then the CDN as a fallback (so the maps also work offline or behind a firewall)
+    const GEOMETRY_SOURCES = [
+        "data/states-10m.json",
+        "https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json"
+    ];
+
+    const POPULATION_CSV = "data/us_statewise_population.csv";
+    const VINTAGES_MANIFEST = "data/vintages.json";
+
+    // Population column used when no year is chosen
+    const DEFAULT_POPULATION_YEAR = "2010";
+
+    // Fields read from a language CSV, with their column names in the 2009-2013 table. A vintage of
+    // the manifest only lists the columns its file names differently; a column set to null (or
+    // missing from the file) is read as empty, except for the required ones
+    const LANGUAGE_SCHEMA = {
+        group: "Group",
+        subgroup: "Subgroup",
+        language: "Language",
+        state: "State",
+        speakers: "Speakers",
+        speakersMoe: "Margin of Error (Number of Speakers)",
+        lessVeryWell: 'Speak English less than "Very Well"',
+        lessVeryWellMoe: "Margin of Error (Speak English Less than Very Well)"
+    };
+    const REQUIRED_FIELDS = ["language", "state", "speakers"];
+
+    // Used when the manifest cannot be read
+    const DEFAULT_VINTAGES = [
+        { key: "2009-2013", label: "ACS 2009–2013", file: "data/LanguageData_States.csv" }
+    ];
+
+    const abbrevToName = {
+        AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California",
+        CO: "Colorado", CT: "Connecticut", DE: "Delaware", FL: "Florida", GA: "Georgia",
+        HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa",
+        KS: "Kansas", KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland",
+        MA: "Massachusetts", MI: "Michigan", MN: "Minnesota", MS: "Mississippi", MO: "Missouri",
+        MT: "Montana", NE: "Nebraska", NV: "Nevada", NH: "New Hampshire", NJ: "New Jersey",
+        NM: "New Mexico", NY: "New York", NC: "North Carolina", ND: "North Dakota", OH: "Ohio",
+        OK: "Oklahoma", OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina",
+        SD: "South Dakota", TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont",
+        VA: "Virginia", WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
+        DC: "District of Columbia", PR: "Puerto Rico"
+    };
+
+    // Jurisdictions that are not states, which the page can leave out of every chart
+    const NON_STATES = ["District of Columbia", "Puerto Rico"];
+
+    // Census regions of the states and DC (Puerto Rico belongs to none)
+    const CENSUS_REGIONS = {
+        Northeast: ["Connecticut", "Maine", "Massachusetts", "New Hampshire", "Rhode Island", "Vermont",
+            "New Jersey", "New York", "Pennsylvania"],
+        Midwest: ["Illinois", "Indiana", "Michigan", "Ohio", "Wisconsin", "Iowa", "Kansas", "Minnesota",
+            "Missouri", "Nebraska", "North Dakota", "South Dakota"],
+        South: ["Delaware", "District of Columbia", "Florida", "Georgia", "Maryland", "North Carolina",
+            "South Carolina", "Virginia", "West Virginia", "Alabama", "Kentucky", "Mississippi", "Tennessee",
+            "Arkansas", "Louisiana", "Oklahoma", "Texas"],
+        West: ["Arizona", "Colorado", "Idaho", "Montana", "Nevada", "New Mexico", "Utah", "Wyoming",
+            "Alaska", "California", "Hawaii", "Oregon", "Washington"]
+    };
+
+    // Fallback id mapping (numeric FIPS) for features without a name property
+    const fipsToName = {
+        "1": "Alabama", "2": "Alaska", "4": "Arizona", "5": "Arkansas", "6": "California",
+        "8": "Colorado", "9": "Connecticut", "10": "Delaware", "12": "Florida", "13": "Georgia",
+        "15": "Hawaii", "16": "Idaho", "17": "Illinois", "18": "Indiana", "19": "Iowa",
+        "20": "Kansas", "21": "Kentucky", "22": "Louisiana", "23": "Maine", "24": "Maryland",
+        "25": "Massachusetts", "26": "Michigan", "27": "Minnesota", "28": "Mississippi",
+        "29": "Missouri", "30": "Montana", "31": "Nebraska", "32": "Nevada",
+        "33": "New Hampshire", "34": "New Jersey", "35": "New Mexico", "36": "New York",
+        "37": "North Carolina", "38": "North Dakota", "39": "Ohio", "40": "Oklahoma",
+        "41": "Oregon", "42": "Pennsylvania", "44": "Rhode Island", "45": "South Carolina",
+        "46": "South Dakota", "47": "Tennessee", "48": "Texas", "49": "Utah", "50": "Vermont",
+        "51": "Virginia", "53": "Washington", "54": "West Virginia", "55": "Wisconsin", "56": "Wyoming",
+        "11": "District of Columbia", "72": "Puerto Rico"
+    };
+
+    // Census region of a state name, or null
+    function censusRegion(name) {
+        return Object.keys(CENSUS_REGIONS).find(region => CENSUS_REGIONS[region].includes(name)) || null;
+    }
+
+    // Robustly parse speaker counts from strings to numbers
+    function parseSpeakers(raw) {
+        if (raw === undefined || raw === null) return null;
+        let s = String(raw).trim();
+        if (s === "") return null;
+
+        // Remove parenthetical notes and commas
+        s = s.replace(/\(.*?\)/g, "").replace(/,/g, "").trim();
+
+        // Handle ranges like "1000-2000" or "1 000 - 2 000"
+        const nums = s.match(/[0-9]+(?:\.[0-9]+)?/g);
+        if (!nums) return null;
+        const parsed = nums.map(n => parseFloat(n));
+
+        if (s.includes("-") && parsed.length >= 2) {
+            // average the range
+            return (parsed[0] + parsed[parsed.length - 1]) / 2;
+        }
+
+        // If text includes a "<" (less than), use the number after it
+        if (s.indexOf('<') !== -1 && parsed.length >= 1) {
+            return parsed[0];
+        }
+
+        // Default: return the first found number
+        return parsed[0];
+    }
+
+    // Why a raw count is not a plain number, or null when it is one (or the cell is empty).
+    // Mirrors the guesses of parseSpeakers so the quality report can say what was done with the value
+    function countIssue(raw) {
+        if (raw === undefined || raw === null) return null;
+        const s = String(raw).trim();
+        if (s === "" || /^(\d+|\d{1,3}(,\d{3})+)(\.\d+)?$/.test(s)) return null;
+
+        const stripped = s.replace(/\(.*?\)/g, "").replace(/,/g, "").trim();
+        const nums = stripped.match(/[0-9]+(?:\.[0-9]+)?/g);
+        if (!nums) return "not a number (left out)";
+        if (stripped.includes("-") && nums.length >= 2) return "range (averaged)";
+        if (stripped.includes("<")) return "upper bound (used as the value)";
+        if (stripped !== s.replace(/,/g, "")) return "note in parentheses (dropped)";
+        return "extra text (first number used)";
+    }
+
+    // Map a state name, abbreviation or variant onto the canonical state name
+    function canonicalStateName(raw) {
+        if (raw === undefined || raw === null) return "Unknown";
+        let s = String(raw).trim();
+        if (s === "") return "Unknown";
+
+        // Remove trailing/leading punctuation and extra whitespace
+        s = s.replace(/[\.]/g, "").replace(/\s+/g, " ").trim();
+
+        // If it's a two-letter code, map via abbrev
+        if (s.length === 2) {
+            const up = s.toUpperCase();
+            if (abbrevToName[up]) return abbrevToName[up];
+        }
+
+        // Normalize common variants (remove word 'State', parentheses, etc.)
+        let clean = s.replace(/\(.*?\)/g, "").replace(/\bstate\b/i, "").trim();
+
+        // Try exact case-insensitive match against known names
+        for (const name of Object.values(abbrevToName)) {
+            if (name.toLowerCase() === clean.toLowerCase()) return name;
+        }
+
+        // Title-case fallback (e.g., 'california' -> 'California'); such names are listed by the quality report
+        const title = clean.split(/\s+/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
+        return title;
+    }
+
+    // Whether a canonical name is one of the known states (and not a title-cased leftover)
+    function isKnownState(name) {
+        return Object.values(abbrevToName).includes(name);
+    }
+
+    // Raw state name of a GeoJSON feature
+    function getStateName(d) {
+        // Prefer any name property present in the GeoJSON feature
+        if (d && d.properties) {
+            if (d.properties.name) return d.properties.name;
+            if (d.properties.NAME) return d.properties.NAME;
+            if (d.properties.STATE_NAME) return d.properties.STATE_NAME;
+            // Postal abbreviation field (many TopoJSONs use STUSPS or postal codes)
+            const post = d.properties.stusps || d.properties.STUSPS || d.properties.postal || d.properties.POSTAL;
+            if (post) {
+                const mapped = abbrevToName[post.toUpperCase()];
+                if (mapped) return mapped;
+            }
+        }
+
+        if (d && d.id != null) return fipsToName[String(+d.id)] || "Unknown";
+        return "Unknown";
+    }
+
+    // Canonical state name of a GeoJSON feature
+    function featureState(d) {
+        return canonicalStateName(getStateName(d));
+    }
+
+    // Load the states TopoJSON, falling back to the next source when one fails
+    function loadStateGeometry() {
+        const failures = [];
+        return GEOMETRY_SOURCES.reduce((attempt, url) => attempt.catch(() =>
+            d3.json(url)
+                .then(us => {
+                    if (!us || !us.objects || !us.objects.states) throw new Error("no 'states' object in file");
+                    return us;
+                })
+                .catch(err => {
+                    failures.push(`${url} (${err.message})`);
+                    throw err;
+                })
+        ), Promise.reject()).catch(() => {
+            throw new Error(`Could not load the state geometry from ${failures.join(", ")}`);
+        });
+    }
+
+    // Census group names are upper case ("ASIAN AND PACIFIC ISLAND LANGUAGES"); title-case them for display
+    function groupLabel(raw) {
+        if (!raw) return 'Unknown';
+        return String(raw).toLowerCase()
+            .replace(/(^|[\s-])([a-z])/g, (m, sep, c) => sep + c.toUpperCase())
+            .replace(/\bAnd\b/g, 'and');
+    }
+
+    // Levels of the language hierarchy the charts can aggregate on (language -> subgroup -> group)
+    const LEVELS = {
+        language: { label: 'Language', key: d => d.Language || 'Unknown' },
+        subgroup: { label: 'Subgroup', key: d => d.Subgroup || 'Unknown' },
+        group: { label: 'Language family', key: d => d.groupName }
+    };
+
+    function levelOf(level) {
+        return LEVELS[level] || LEVELS.language;
+    }
+
+    // Sum speakers per language, subgroup or group over a list of rows
+    function aggregate(rows, level) {
+        const key = levelOf(level).key;
+        const totals = new Map();
+        rows.forEach(d => {
+            const k = key(d);
+            totals.set(k, (totals.get(k) || 0) + (d.Speakers || 0));
+        });
+        return totals;
+    }
+
+    // Combine independent margins of error (root-sum-of-squares)
+    function combineMoe(moes) {
+        return Math.sqrt(moes.reduce((s, e) => s + (e || 0) * (e || 0), 0));
+    }
+
+    // Margin of error of the speakers per language, subgroup or group over a list of rows
+    function aggregateMoe(rows, level) {
+        const key = levelOf(level).key;
+        const moes = new Map();
+        rows.forEach(d => {
+            const k = key(d);
+            if (!moes.has(k)) moes.set(k, []);
+            moes.get(k).push(d.speakersMoe);
+        });
+        return new Map(Array.from(moes, ([k, list]) => [k, combineMoe(list)]));
+    }
+
+    // Speakers of English less than "very well" per language, subgroup or group over a list of rows
+    // (Map key -> { value, moe })
+    function aggregateLessVeryWell(rows, level) {
+        const grouped = d3.group(rows, levelOf(level).key);
+        return new Map(Array.from(grouped, ([k, list]) => [k, sumLessVeryWell(list)]));
+    }
+
+    // ACS margins of error are published at the 90% confidence level
+    const MOE_CONFIDENCE = "90%";
+
+    // Confidence interval [low, high] of an estimate (counts and shares cannot go below zero)
+    function confidenceInterval(value, moe) {
+        return [Math.max(0, value - (moe || 0)), value + (moe || 0)];
+    }
+
+    // Margin of error of the proportion x / y when x is a subset of y (ACS formula, falling
+    // back to the ratio formula when the value under the square root is negative)
+    function proportionMoe(x, moeX, y, moeY) {
+        if (!y) return null;
+        const p = x / y;
+        const ex = moeX || 0, ey = moeY || 0;
+        const radicand = ex * ex - p * p * ey * ey;
+        return Math.sqrt(radicand >= 0 ? radicand : ex * ex + p * p * ey * ey) / y;
+    }
+
+    // Compare two estimates ({ value, moe }) at the MOE confidence level: 1 when a is
+    // significantly higher, -1 when significantly lower, 0 when statistically indistinguishable
+    function compareEstimates(a, b) {
+        const diff = a.value - b.value;
+        return Math.abs(diff) > combineMoe([a.moe, b.moe]) ? Math.sign(diff) : 0;
+    }
+
+    // Change between two vintages of every key found in both, from the Maps of estimates and MOEs
+    // of each (totalsFor/moeFor, speakersByState/speakersMoeByState): Map key -> { from, fromMoe,
+    // to, toMoe, change, moe, pctChange, significant }. The MOE of the change combines both MOEs as
+    // in compareEstimates; overlapping 5-year periods share survey years, so it is only approximate
+    function changeBetween(fromValues, fromMoes, toValues, toMoes) {
+        const changes = new Map();
+        fromValues.forEach((value, key) => {
+            if (!toValues.has(key)) return;
+            const from = value || 0;
+            const to = toValues.get(key) || 0;
+            const change = to - from;
+            const moe = combineMoe([fromMoes.get(key), toMoes.get(key)]);
+            changes.set(key, {
+                from,
+                fromMoe: fromMoes.get(key) || 0,
+                to,
+                toMoe: toMoes.get(key) || 0,
+                change,
+                moe,
+                pctChange: from > 0 ? change / from * 100 : null,
+                significant: Math.abs(change) > moe
+            });
+        });
+        return changes;
+    }
+
+    // Sum "speak English less than very well" over a list of rows, with its combined MOE
+    function sumLessVeryWell(rows) {
+        const counted = rows.filter(d => d.lessVeryWell !== null && d.lessVeryWell > 0);
+        return {
+            value: counted.reduce((s, d) => s + d.lessVeryWell, 0),
+            moe: combineMoe(counted.map(d => d.lessVeryWellMoe))
+        };
+    }
+
+    // Population columns of the CSV: the April 2010 estimates base and one column per year
+    function populationColumns(columns) {
+        const years = [];
+        (columns || []).forEach(column => {
+            if (/^\d{4}$/.test(column)) years.push({ key: column, column, label: column });
+            else if (/estimates base/i.test(column)) years.push({ key: 'base', column, label: 'April 2010 estimates base' });
+        });
+        return years;
+    }
+
+    // Raw state name of a population row (prefer 'Area')
+    function populationStateName(r) {
+        return r.Area || r.State || r.NAME || r.Name || r.Geography || r.GeographyName;
+    }
+
+    // Parse every population column (Map year key -> Map state -> population)
+    function parsePopulation(popData, years) {
+        const byYear = new Map(years.map(y => [y.key, new Map()]));
+        popData.forEach(r => {
+            const rawName = populationStateName(r);
+            if (!rawName) return;
+            const name = canonicalStateName(rawName);
+            years.forEach(y => {
+                const rawPop = r[y.column];
+                let p = null;
+                if (rawPop !== undefined) {
+                    const s = String(rawPop).replace(/,/g, '').trim();
+                    p = s === '' ? null : +s;
+                }
+                if (p != null && !isNaN(p)) byYear.get(y.key).set(name, p);
+            });
+        });
+        return byYear;
+    }
+
+    // Validation pass over the CSVs: what the parsing above silently smooths over. Runs on the raw
+    // rows of every vintage (before parseRows parses them in place); every entry carries the file and
+    // CSV line it comes from (line 1 is the header)
+    function qualityReport(vintages, popData, populationYears) {
+        const line = i => i + 2;
+
+        // Names that did not match a known state, with the name they were shown under
+        const unmatched = new Map();
+        function checkStateName(file, raw, i) {
+            const shownAs = canonicalStateName(raw);
+            if (isKnownState(shownAs)) return;
+            const key = `${file}|${raw}`;
+            if (!unmatched.has(key)) unmatched.set(key, { file, name: raw == null ? "" : String(raw), shownAs, rows: 0, firstLine: line(i) });
+            unmatched.get(key).rows++;
+        }
+
+        const unparseableCounts = [];
+        const lessVeryWellAboveSpeakers = [];
+        const moeAboveEstimate = [];
+
+        vintages.forEach(({ file, columns, rows }) => {
+            const countColumns = [columns.speakers, columns.speakersMoe, columns.lessVeryWell, columns.lessVeryWellMoe].filter(Boolean);
+            rows.forEach((d, i) => {
+                const rawState = d[columns.state];
+                checkStateName(file, rawState, i);
+                const where = { file, line: line(i), state: canonicalStateName(rawState), language: d[columns.language] || "Unknown" };
+                const speakers = parseSpeakers(d[columns.speakers]);
+                const lessVeryWell = parseSpeakers(d[columns.lessVeryWell]);
+
+                countColumns.forEach(column => {
+                    const issue = countIssue(d[column]);
+                    if (issue) unparseableCounts.push(Object.assign({ column, raw: d[column], parsed: parseSpeakers(d[column]), issue }, where));
+                });
+
+                if (speakers != null && lessVeryWell != null && lessVeryWell > speakers) {
+                    lessVeryWellAboveSpeakers.push(Object.assign({ speakers, lessVeryWell }, where));
+                }
+
+                [[columns.speakers, speakers, parseSpeakers(d[columns.speakersMoe])], [columns.lessVeryWell, lessVeryWell, parseSpeakers(d[columns.lessVeryWellMoe])]].forEach(([column, estimate, moe]) => {
+                    if (estimate != null && moe != null && moe > estimate) moeAboveEstimate.push(Object.assign({ column, estimate, moe }, where));
+                });
+            });
+        });
+
+        popData.forEach((r, i) => {
+            const rawName = populationStateName(r);
+            checkStateName(POPULATION_CSV, rawName, i);
+            populationYears.forEach(y => {
+                const raw = r[y.column];
+                const s = raw === undefined ? "" : String(raw).replace(/,/g, "").trim();
+                if (s !== "" && isNaN(+s)) {
+                    unparseableCounts.push({
+                        file: POPULATION_CSV, line: line(i), state: canonicalStateName(rawName), language: null,
+                        column: y.column, raw, parsed: null, issue: "not a number (left out)"
+                    });
+                }
+            });
+        });
+
+        // States found in a language CSV or the population CSV but not both
+        const populationStates = new Set(popData.map(r => canonicalStateName(populationStateName(r))));
+        const missingStates = [];
+        vintages.forEach(({ file, columns, rows }) => {
+            const languageStates = new Set(rows.map(d => canonicalStateName(d[columns.state])));
+            languageStates.forEach(state => {
+                if (state !== "Unknown" && !populationStates.has(state)) missingStates.push({ state, foundIn: file, missingFrom: POPULATION_CSV });
+            });
+            populationStates.forEach(state => {
+                if (state !== "Unknown" && !languageStates.has(state)) missingStates.push({ state, foundIn: POPULATION_CSV, missingFrom: file });
+            });
+        });
+
+        return {
+            unmatchedStates: Array.from(unmatched.values()),
+            unparseableCounts,
+            lessVeryWellAboveSpeakers,
+            moeAboveEstimate,
+            missingStates
+        };
+    }
+
+    // Parse the rows of a vintage once, in place, into the fields the charts read (named after the
+    // 2009-2013 columns). A vintage without group or subgroup columns borrows them from the rows of
+    // the first vintage (familyRows) for the same language
+    function parseRows({ columns, rows }, familyRows = []) {
+        const families = new Map(familyRows.map(d => [String(d.Language).toLowerCase(), d]));
+        rows.forEach(d => {
+            const raw = field => columns[field] ? d[columns[field]] : undefined;
+            const language = raw("language");
+            const family = families.get(String(language).toLowerCase()) || {};
+            Object.assign(d, {
+                Group: columns.group ? raw("group") : family.Group,
+                Subgroup: columns.subgroup ? raw("subgroup") : family.Subgroup,
+                Language: language,
+                State: raw("state"),
+                Speakers: parseSpeakers(raw("speakers")),
+                speakersMoe: parseSpeakers(raw("speakersMoe")),
+                lessVeryWell: parseSpeakers(raw("lessVeryWell")),
+                lessVeryWellMoe: parseSpeakers(raw("lessVeryWellMoe"))
+            });
+            d.state = canonicalStateName(d.State);
+            d.groupName = groupLabel(d.Group);
+        });
+    }
+
+    // Vintages listed in the manifest, with their columns completed from LANGUAGE_SCHEMA
+    function loadVintageList() {
+        return d3.json(VINTAGES_MANIFEST)
+            .then(list => {
+                if (!Array.isArray(list) || !list.length) throw new Error("expected a non-empty array of vintages");
+                return list;
+            })
+            .catch(err => {
+                console.error(`Could not read ${VINTAGES_MANIFEST}, loading the default language CSV:`, err);
+                return DEFAULT_VINTAGES;
+            })
+            .then(list => list.map(v => Object.assign({}, v, {
+                key: String(v.key),
+                label: v.label || String(v.key),
+                columns: Object.assign({}, LANGUAGE_SCHEMA, v.columns)
+            })));
+    }
+
+    // Rows of a vintage, after checking that its file has the mapped columns
+    function loadVintage(vintage) {
+        return d3.csv(vintage.file).then(rows => {
+            const header = rows.columns || [];
+            Object.keys(vintage.columns).forEach(field => {
+                const column = vintage.columns[field];
+                if (column && header.includes(column)) return;
+                if (REQUIRED_FIELDS.includes(field)) {
+                    throw new Error(`${vintage.file} has no "${column}" column (mapped to ${field} for ${vintage.label})`);
+                }
+                vintage.columns[field] = null;
+            });
+            return Object.assign(vintage, { rows });
+        });
+    }
+
+    function buildIndexes(languageData, popData) {
+        const byState = d3.group(languageData, d => d.state);
+        const byLanguage = d3.group(languageData, d => d.Language || 'Unknown');
+        const byGroup = d3.group(languageData, d => d.groupName, d => d.Subgroup);
+
+        // Speakers per language, nationwide and per state
+        const languageTotals = aggregate(languageData, 'language');
+        const languageTotalsByState = new Map();
+        byState.forEach((rows, state) => languageTotalsByState.set(state, aggregate(rows, 'language')));
+
+        // Distinct languages per state, and number of states where each language appears
+        const languageCountByState = new Map();
+        const stateCountByLanguage = new Map();
+        languageTotalsByState.forEach((totals, state) => {
+            languageCountByState.set(state, totals.size);
+            totals.forEach((v, lang) => stateCountByLanguage.set(lang, (stateCountByLanguage.get(lang) || 0) + 1));
+        });
+
+        // "Speak English less than very well" per state and nationwide ({ value, moe })
+        const lessVeryWellByState = new Map();
+        byState.forEach((rows, state) => lessVeryWellByState.set(state, sumLessVeryWell(rows)));
+        const nationwideLessVeryWell = sumLessVeryWell(languageData);
+
+        const populationYears = populationColumns(popData.columns);
+        const populationByYear = parsePopulation(popData, populationYears);
+        // Nationwide population per year (sum of available state populations)
+        const nationwidePopulationByYear = new Map();
+        populationByYear.forEach((pops, year) => {
+            nationwidePopulationByYear.set(year, Array.from(pops.values()).reduce((a, b) => a + b, 0) || null);
+        });
+        const defaultYear = populationByYear.has(DEFAULT_POPULATION_YEAR) ? DEFAULT_POPULATION_YEAR : (populationYears.length ? populationYears[0].key : null);
+
+        const stateSet = new Set([...byState.keys()]);
+        populationByYear.forEach(pops => pops.forEach((p, state) => stateSet.add(state)));
+        stateSet.delete('Unknown');
+        const stateList = Array.from(stateSet).sort((a, b) => a.localeCompare(b));
+        const languageList = Array.from(byLanguage.keys()).sort((a, b) => a.localeCompare(b));
+
+        // Case-insensitive lookup of language names
+        const languageByLowerName = new Map(languageList.map(l => [l.toLowerCase(), l]));
+
+        // Speakers of one language per state (Map state -> speakers)
+        const speakersByStateCache = new Map();
+        function speakersByState(language) {
+            const lang = findLanguage(language);
+            if (!lang) return new Map();
+            if (!speakersByStateCache.has(lang)) {
+                speakersByStateCache.set(lang, d3.rollup(byLanguage.get(lang), v => d3.sum(v, d => d.Speakers || 0), d => d.state));
+            }
+            return speakersByStateCache.get(lang);
+        }
+
+        // Margin of error of those speakers per state (Map state -> MOE)
+        const speakersMoeByStateCache = new Map();
+        function speakersMoeByState(language) {
+            const lang = findLanguage(language);
+            if (!lang) return new Map();
+            if (!speakersMoeByStateCache.has(lang)) {
+                speakersMoeByStateCache.set(lang, d3.rollup(byLanguage.get(lang), v => combineMoe(v.map(d => d.speakersMoe)), d => d.state));
+            }
+            return speakersMoeByStateCache.get(lang);
+        }
+
+        function findLanguage(name) {
+            if (!name) return null;
+            return languageByLowerName.get(String(name).trim().toLowerCase()) || null;
+        }
+
+        // Speakers per language for a state, or nationwide when no state is given
+        function languageTotalsFor(state) {
+            if (!state) return languageTotals;
+            return languageTotalsByState.get(state) || new Map();
+        }
+
+        // Rows of a state, or all rows when no state is given
+        function rowsFor(state) {
+            if (!state) return languageData;
+            return byState.get(state) || [];
+        }
+
+        // Speakers per language, subgroup or group for a state (or nationwide)
+        const totalsCache = new Map();
+        function totalsFor(state, level) {
+            if (!level || level === 'language') return languageTotalsFor(state);
+            const cacheKey = `${level}|${state || ''}`;
+            if (!totalsCache.has(cacheKey)) totalsCache.set(cacheKey, aggregate(rowsFor(state), level));
+            return totalsCache.get(cacheKey);
+        }
+
+        // Margin of error of those totals (Map key -> MOE)
+        const moeCache = new Map();
+        function moeFor(state, level) {
+            const cacheKey = `${level || 'language'}|${state || ''}`;
+            if (!moeCache.has(cacheKey)) moeCache.set(cacheKey, aggregateMoe(rowsFor(state), level));
+            return moeCache.get(cacheKey);
+        }
+
+        // Group -> Subgroup -> Language tree of speakers for d3.hierarchy (leaves carry their MOE).
+        // Subgroups holding a single language of the same name (e.g. English / English) are collapsed into that language.
+        function hierarchyFor(state, excludeLanguages = []) {
+            const rows = rowsFor(state).filter(d => d.Speakers > 0 && !excludeLanguages.includes(d.Language));
+            const nested = d3.rollup(rows,
+                v => ({ value: d3.sum(v, d => d.Speakers), moe: combineMoe(v.map(d => d.speakersMoe)) }),
+                d => d.groupName, d => d.Subgroup, d => d.Language);
+            const children = Array.from(nested, ([group, subgroups]) => ({
+                name: group,
+                children: Array.from(subgroups, ([subgroup, languages]) => {
+                    if (languages.size === 1 && languages.has(subgroup)) return Object.assign({ name: subgroup }, languages.get(subgroup));
+                    return {
+                        name: subgroup,
+                        children: Array.from(languages, ([language, estimate]) => Object.assign({ name: language }, estimate))
+                    };
+                })
+            }));
+            return { name: state || 'Nationwide', children };
+        }
+
+        // Population year key to use: the requested one when the CSV has it, else the default
+        function resolveYear(year) {
+            return year && populationByYear.has(year) ? year : defaultYear;
+        }
+
+        function yearLabel(year) {
+            const key = resolveYear(year);
+            const found = populationYears.find(y => y.key === key);
+            return found ? found.label : 'unknown year';
+        }
+
+        // Population per state for a year (Map state -> population)
+        function populationFor(year) {
+            return populationByYear.get(resolveYear(year)) || new Map();
+        }
+
+        // Population of a state for a year, or the nationwide population when no state is given
+        function populationOf(state, year) {
+            if (!state) return nationwidePopulationByYear.get(resolveYear(year)) || null;
+            return populationFor(year).get(state) || null;
+        }
+
+        return {
+            rows: languageData,
+            byState,
+            byLanguage,
+            byGroup,
+            languageTotals,
+            languageTotalsByState,
+            languageCountByState,
+            stateCountByLanguage,
+            lessVeryWellByState,
+            nationwideLessVeryWell,
+            populationYears,
+            defaultYear,
+            stateList,
+            languageList,
+            findLanguage,
+            speakersByState,
+            speakersMoeByState,
+            languageTotalsFor,
+            rowsFor,
+            totalsFor,
+            moeFor,
+            hierarchyFor,
+            resolveYear,
+            yearLabel,
+            populationFor,
+            populationOf
+        };
+    }
+
+    let loading = null;
+
+    // Load everything once; geometry failures are reported on data.geometryError
+    // so the charts that do not need a map still render
+    function load() {
+        if (!loading) {
+            let geometryError = null;
+            loading = Promise.all([
+                loadStateGeometry().catch(err => {
+                    geometryError = err;
+                    return null;
+                }),
+                // the first vintage is required; a later one that fails to load is left out
+                loadVintageList().then(list => Promise.all(list.map((vintage, i) => loadVintage(vintage).catch(err => {
+                    if (i === 0) throw err;
+                    console.error(`Could not load the ${vintage.label} language CSV:`, err);
+                    return null;
+                })))),
+                d3.csv(POPULATION_CSV)
+            ]).then(([us, loaded, popData]) => {
+                popData = popData || [];
+                const vintages = loaded.filter(Boolean);
+                const quality = qualityReport(vintages, popData, populationColumns(popData.columns));
+                const [primary, ...others] = vintages;
+                parseRows(primary);
+                others.forEach(vintage => parseRows(vintage, primary.rows));
+
+                // Geometry of the states, DC and Puerto Rico (the other territories have no data)
+                const states = us ? topojson.feature(us, us.objects.states).features.filter(f => isKnownState(featureState(f))) : [];
+                const data = {
+                    states,
+                    geometryError,
+                    quality,
+                    // fields: the LANGUAGE_SCHEMA fields the file of the vintage has
+                    vintages: vintages.map(({ key, label, file, columns }) => ({ key, label, file, fields: Object.keys(columns).filter(field => columns[field]) }))
+                };
+
+                // Puerto Rico has geometry but no rows in the language tables: the maps draw it without
+                // data and it cannot be selected (whether DC and Puerto Rico are on the charts or not).
+                // hasSurveyData(name, keys) checks every vintage of `keys` instead of the first one (a change needs both)
+                const surveyed = new Map(vintages.map(({ key, rows }) => [key, new Set(rows.map(d => d.state))]));
+                data.hasSurveyData = (name, keys = [primary.key]) => keys.every(key => surveyed.has(key) && surveyed.get(key).has(name));
+
+                // Indexes of the later vintages by key (those of the first one are `data` itself)
+                let otherIndexes = new Map();
+                data.vintage = key => key === primary.key ? data : (otherIndexes.get(key) || null);
+
+                // Rebuild every index with or without DC and Puerto Rico. The same object is updated
+                // in place, so the charts (which all read `data`) pick the change up when they redraw
+                data.setStatesOnly = statesOnly => {
+                    const inScope = name => !statesOnly || !NON_STATES.includes(name);
+                    const popRows = Object.assign(popData.filter(r => inScope(canonicalStateName(populationStateName(r)))), { columns: popData.columns });
+                    const indexesOf = ({ rows }) => buildIndexes(rows.filter(d => inScope(d.state)), popRows);
+                    Object.assign(data, indexesOf(primary), { statesOnly: !!statesOnly });
+                    otherIndexes = new Map(others.map(vintage => [vintage.key, indexesOf(vintage)]));
+                };
+                data.setStatesOnly(false);
+                return data;
+            });
+        }
+        return loading;
+    }
+
+    return {
+        load,
+        parseSpeakers,
+        countIssue,
+        canonicalStateName,
+        isKnownState,
+        getStateName,
+        featureState,
+        combineMoe,
+        aggregateMoe,
+        aggregateLessVeryWell,
+        MOE_CONFIDENCE,
+        confidenceInterval,
+        proportionMoe,
+        compareEstimates,
+        changeBetween,
+        aggregate,
+        levelOf,
+        groupLabel,
+        abbrevToName,
+        NON_STATES,
+        CENSUS_REGIONS,
+        censusRegion
+    };
+})();
@@ -0,0 +1,132 @@
+// ===========================
+// Data quality panel: what the validation pass of the data layer found in the CSVs
+// ===========================
+// One collapsible block per check (data.quality), each with a table of the offending rows and a CSV download.
+dataLayer.load().then(function setupDataQuality(data) {
+    try {
+        const fileName = path => path.split('/').pop();
+        const number = value => value == null ? '' : Math.round(value).toLocaleString();
+
+        // Each check: its key in data.quality, a heading, a short name for the summary line, and the
+        // columns shown (and exported) for its entries ([header, value of an entry])
+        const CHECKS = [
+            {
+                key: 'unmatchedStates',
+                summary: 'unmatched state names',
+                title: 'State names that match no known state',
+                note: 'These rows are shown under the title-cased name, as a state of their own.',
+                columns: [
+                    ['File', d => fileName(d.file)],
+                    ['First line', d => d.firstLine],
+                    ['Name in the file', d => d.name],
+                    ['Shown as', d => d.shownAs],
+                    ['Rows', d => d.rows]
+                ]
+            },
+            {
+                key: 'unparseableCounts',
+                summary: 'unparseable counts',
+                title: 'Counts that are not plain numbers',
+                note: 'Ranges are averaged, notes in parentheses are dropped and anything without a number is left out.',
+                columns: [
+                    ['File', d => fileName(d.file)],
+                    ['Line', d => d.line],
+                    ['State', d => d.state],
+                    ['Language', d => d.language || ''],
+                    ['Column', d => d.column],
+                    ['Value in the file', d => d.raw],
+                    ['Read as', d => d.parsed == null ? 'missing' : number(d.parsed)],
+                    ['Issue', d => d.issue]
+                ]
+            },
+            {
+                key: 'lessVeryWellAboveSpeakers',
+                summary: '"less than very well" above speakers',
+                title: 'More speakers of English less than "very well" than speakers',
+                note: 'A subset cannot be larger than the whole: one of the two counts is wrong.',
+                columns: [
+                    ['File', d => fileName(d.file)],
+                    ['Line', d => d.line],
+                    ['State', d => d.state],
+                    ['Language', d => d.language],
+                    ['Speakers', d => number(d.speakers)],
+                    ['Less than "very well"', d => number(d.lessVeryWell)]
+                ]
+            },
+            {
+                key: 'moeAboveEstimate',
+                summary: 'margins of error above the estimate',
+                title: 'Margins of error larger than their estimate',
+                note: `The ${dataLayer.MOE_CONFIDENCE} confidence interval of these estimates reaches zero: they rest on very few survey answers.`,
+                columns: [
+                    ['File', d => fileName(d.file)],
+                    ['Line', d => d.line],
+                    ['State', d => d.state],
+                    ['Language', d => d.language],
+                    ['Estimate', d => d.column],
+                    ['Value', d => number(d.estimate)],
+                    ['Margin of error', d => number(d.moe)]
+                ]
+            },
+            {
+                key: 'missingStates',
+                summary: 'states missing from a file',
+                title: 'States present in a language CSV or the population CSV but not both',
+                note: 'Their shares cannot be computed (no population), or their population is counted with no languages.',
+                columns: [
+                    ['State', d => d.state],
+                    ['Found in', d => fileName(d.foundIn)],
+                    ['Missing from', d => fileName(d.missingFrom)]
+                ]
+            }
+        ];
+
+        const panel = d3.select('#data-quality-container');
+        const found = CHECKS.filter(check => data.quality[check.key].length);
+
+        panel.append('p')
+            .attr('class', 'quality-summary')
+            .text(found.length
+                ? `${found.length} of the ${CHECKS.length} checks found something: ` +
+                    found.map(check => `${check.summary} (${data.quality[check.key].length.toLocaleString()})`).join(', ') + '.'
+                : `All ${CHECKS.length} checks passed.`);
+
+        CHECKS.forEach(check => {
+            const entries = data.quality[check.key];
+            const block = panel.append('details').attr('class', 'quality-check');
+            block.append('summary').text(`${check.title} (${entries.length.toLocaleString()})`);
+            block.append('p').attr('class', 'quality-note').text(check.note);
+
+            if (!entries.length) {
+                block.append('p').attr('class', 'quality-note').text('None found.');
+                return;
+            }
+
+            block.append('button')
+                .attr('type', 'button')
+                .attr('class', 'quality-download')
+                .text('Download CSV')
+                .on('click', () => {
+                    const rows = entries.map(d => Object.fromEntries(check.columns.map(([header, value]) => [header, value(d)])));
+                    chartExport.downloadCsv(rows, `data-quality-${check.key}.csv`);
+                });
+
+            const table = block.append('div').attr('class', 'quality-table-scroll').append('table');
+            table.append('thead').append('tr')
+                .selectAll('th')
+                .data(check.columns)
+                .join('th')
+                .attr('scope', 'col')
+                .text(([header]) => header);
+            table.append('tbody').selectAll('tr')
+                .data(entries)
+                .join('tr')
+                .selectAll('td')
+                .data(d => check.columns.map(([, value]) => value(d)))
+                .join('td')
+                .text(d => d);
+        });
+    } catch (err) {
+        console.error('Error rendering data quality report:', err);
+    }
+});
@@ -0,0 +1,236 @@
+// ===========================
+// Linguistic diversity: ranking of the states and diversity vs. population
+// ===========================
+// Both charts show the index picked in #diversity-index-select (see diversity.INDEXES).
+// The ranking can be sorted by value or by name; clicking a state on either chart selects it.
+dataLayer.load().then(function setupDiversityCharts(data) {
+    try {
+        // Indexes of every state (recomputed when DC and Puerto Rico enter or leave the charts)
+        let summary = diversity.statesSummary(data);
+        const nameToAbbrev = new Map(Object.entries(dataLayer.abbrevToName).map(([abbrev, name]) => [name, abbrev]));
+
+        const SORTS = {
+            desc: { label: 'Highest first', compare: key => (a, b) => b[key] - a[key] },
+            asc: { label: 'Lowest first', compare: key => (a, b) => a[key] - b[key] },
+            name: { label: 'Alphabetical', compare: () => (a, b) => a.state.localeCompare(b.state) }
+        };
+
+        const currentIndex = () => diversity.INDEXES[appState.get('diversityIndex')] ? appState.get('diversityIndex') : 'effective';
+        const currentSort = () => SORTS[appState.get('diversitySort')] ? appState.get('diversitySort') : 'desc';
+        const populationYear = () => data.resolveYear(appState.get('year'));
+
+        const indexSelect = d3.select('#diversity-index-select');
+        indexSelect.selectAll('option')
+            .data(Object.keys(diversity.INDEXES))
+            .join('option')
+            .attr('value', d => d)
+            .text(d => diversity.INDEXES[d].label);
+        indexSelect.on('change', function() { appState.set('diversityIndex', this.value); });
+
+        const sortSelect = d3.select('#diversity-sort-select');
+        sortSelect.selectAll('option')
+            .data(Object.keys(SORTS))
+            .join('option')
+            .attr('value', d => d)
+            .text(d => SORTS[d].label);
+        sortSelect.on('change', function() { appState.set('diversitySort', this.value); });
+
+        function tooltipHtml(d) {
+            const pop = data.populationOf(d.state, populationYear());
+            return `<strong>${d.state}</strong><br/>` +
+                Object.keys(diversity.INDEXES).map(key => `${diversity.INDEXES[key].label}: ${diversity.INDEXES[key].format(d[key])}`).join('<br/>') +
+                (pop ? `<br/>${data.yearLabel(populationYear())} population: ${pop.toLocaleString()}` : '');
+        }
+
+        // Ranking: one horizontal bar per state
+        function renderRanking() {
+            const key = currentIndex();
+            const index = diversity.INDEXES[key];
+            const items = summary.slice().sort(SORTS[currentSort()].compare(key));
+            sortSelect.property('value', currentSort());
+
+            // As wide as its container; narrow screens get a smaller margin for the names
+            const w = Math.max(320, chartWidth('#diversity-ranking-container', 920)), narrow = w < 600;
+            const rowHeight = 16, margin = {top: 30, right: narrow ? 40 : 60, bottom: 10, left: narrow ? 110 : 150};
+            const innerW = w - margin.left - margin.right;
+            const innerH = items.length * rowHeight;
+
+            const container = d3.select('#diversity-ranking-container');
+            container.selectAll('svg').remove();
+            const svgRanking = container.append('svg')
+                .attr('viewBox', `0 0 ${w} ${innerH + margin.top + margin.bottom}`)
+                .attr('preserveAspectRatio', 'xMidYMid meet');
+
+            const g = svgRanking.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+            const x = d3.scaleLinear().domain([0, d3.max(items, d => d[key]) || 1]).range([0, innerW]).nice();
+            const y = d3.scaleBand().domain(items.map(d => d.state)).range([0, innerH]).padding(0.15);
+
+            g.append('g').call(d3.axisTop(x).ticks(narrow ? 4 : 6).tickFormat(index.format));
+            g.append('g').call(d3.axisLeft(y).tickSize(0)).selectAll('text')
+                .attr('font-size', 11)
+                .attr('font-family', 'Fira Sans, sans-serif');
+
+            const bars = g.selectAll('.diversity-bar').data(items).join('g')
+                .attr('class', 'diversity-bar')
+                .style('cursor', 'pointer')
+                .on('mouseover', (event, d) => showTooltip(event, tooltipHtml(d)))
+                .on('mousemove', moveTooltip)
+                .on('mouseout', hideTooltip)
+                .on('click', (event, d) => toggleSelectedState(d.state));
+
+            bars.append('rect')
+                .attr('x', 0)
+                .attr('y', d => y(d.state))
+                .attr('height', y.bandwidth())
+                .attr('width', d => x(d[key]));
+
+            bars.append('text')
+                .attr('class', 'bar-label')
+                .attr('x', d => x(d[key]) + 4)
+                .attr('y', d => y(d.state) + y.bandwidth() / 2 + 4)
+                .attr('font-size', 10)
+                .text(d => index.format(d[key]));
+
+            markSelected();
+        }
+
+        // Scatter: population of the chosen year (log scale) against the index
+        function renderScatter() {
+            const key = currentIndex();
+            const index = diversity.INDEXES[key];
+            const year = populationYear();
+            const items = summary
+                .map(d => Object.assign({ population: data.populationOf(d.state, year) }, d))
+                .filter(d => d.population > 0);
+
+            const w = Math.max(320, chartWidth('#diversity-scatter-container', 920)), h = 460, narrow = w < 600;
+            const margin = {top: 20, right: narrow ? 20 : 30, bottom: 50, left: 70};
+            const innerW = w - margin.left - margin.right;
+            const innerH = h - margin.top - margin.bottom;
+
+            const container = d3.select('#diversity-scatter-container');
+            container.selectAll('svg').remove();
+            const svgScatter = container.append('svg')
+                .attr('viewBox', `0 0 ${w} ${h}`)
+                .attr('preserveAspectRatio', 'xMidYMid meet');
+
+            const g = svgScatter.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+            const x = d3.scaleLog().domain(d3.extent(items, d => d.population)).range([0, innerW]).nice();
+            const y = d3.scaleLinear().domain(d3.extent(items, d => d[key])).range([innerH, 0]).nice();
+
+            g.append('g').attr('transform', `translate(0,${innerH})`)
+                .call(d3.axisBottom(x).ticks(narrow ? 3 : 6, '~s'))
+                .append('text')
+                .attr('x', innerW / 2)
+                .attr('y', 40)
+                .attr('fill', '#000')
+                .attr('text-anchor', 'middle')
+                .text(`${data.yearLabel(year)} population (log scale)`);
+
+            g.append('g').call(d3.axisLeft(y).ticks(6).tickFormat(index.format))
+                .append('text')
+                .attr('transform', 'rotate(-90)')
+                .attr('x', -innerH / 2)
+                .attr('y', -52)
+                .attr('fill', '#000')
+                .attr('text-anchor', 'middle')
+                .text(index.label);
+
+            const points = g.selectAll('.diversity-point').data(items).join('g')
+                .attr('class', 'diversity-point')
+                .attr('transform', d => `translate(${x(d.population)},${y(d[key])})`)
+                .style('cursor', 'pointer')
+                .on('mouseover', (event, d) => showTooltip(event, tooltipHtml(d)))
+                .on('mousemove', moveTooltip)
+                .on('mouseout', hideTooltip)
+                .on('click', (event, d) => toggleSelectedState(d.state));
+
+            points.append('circle').attr('r', 5);
+            points.append('text')
+                .attr('x', 7)
+                .attr('y', 3)
+                .attr('font-size', 9)
+                .text(d => nameToAbbrev.get(d.state) || d.state);
+
+            markSelected();
+        }
+
+        // Selected state: orange bar and point (no re-render needed)
+        function markSelected() {
+            const selected = appState.get('state');
+            d3.selectAll('.diversity-bar, .diversity-point')
+                .classed('diversity-selected', d => d.state === selected);
+            d3.selectAll('.diversity-point').filter(d => d.state === selected).raise();
+        }
+
+        function renderDiversity() {
+            indexSelect.property('value', currentIndex());
+            renderRanking();
+            renderScatter();
+        }
+
+        renderDiversity();
+
+        const summaryRows = () => summary.map(d => {
+            const row = { State: d.state };
+            Object.keys(diversity.INDEXES).forEach(key => row[diversity.INDEXES[key].label] = d[key]);
+            return row;
+        });
+        chartExport.register({
+            container: '#diversity-ranking-container',
+            name: 'diversity-ranking',
+            rows: () => {
+                const key = currentIndex();
+                return summary.slice().sort(SORTS[currentSort()].compare(key)).map((d, i) => ({
+                    Rank: i + 1,
+                    State: d.state,
+                    [diversity.INDEXES[key].label]: d[key]
+                }));
+            }
+        });
+        chartExport.register({
+            container: '#diversity-scatter-container',
+            name: 'diversity-vs-population',
+            rows: () => summaryRows().map(row => Object.assign(row, {
+                [`${data.yearLabel(populationYear())} population`]: data.populationOf(row.State, populationYear())
+            }))
+        });
+
+        const indexLabel = d => {
+            const key = currentIndex();
+            return `${diversity.INDEXES[key].label} ${diversity.INDEXES[key].format(d[key])}` + (d.state === appState.get('state') ? ', selected' : '');
+        };
+        chartA11y.register({
+            container: '#diversity-ranking-container',
+            title: () => `States ranked by ${diversity.INDEXES[currentIndex()].label}`,
+            marks: '.diversity-bar',
+            markName: 'states',
+            label: d => `${d.state}: ${indexLabel(d)}`,
+            navigation: 'list',
+            selectable: true
+        });
+        chartA11y.register({
+            container: '#diversity-scatter-container',
+            title: () => `${diversity.INDEXES[currentIndex()].label} against population`,
+            marks: '.diversity-point',
+            markName: 'states',
+            label: d => `${d.state}: population ${(data.populationOf(d.state, populationYear()) || 0).toLocaleString()}, ${indexLabel(d)}`,
+            selectable: true
+        });
+
+        appState.on('diversityIndex', renderDiversity);
+        appState.on('diversitySort', renderRanking);
+        appState.on('year', renderScatter);
+        appState.on('includeNonStates', () => {
+            summary = diversity.statesSummary(data);
+            renderDiversity();
+        });
+        appState.on('state', markSelected);
+        onContainerResize('#diversity-ranking-container', renderRanking);
+        onContainerResize('#diversity-scatter-container', renderScatter);
+    } catch (err) {
+        console.error('Error rendering diversity charts:', err);
+    }
+});
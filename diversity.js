@@ -0,0 +1,81 @@
+// Linguistic diversity indexes of a language mix.
+//
+// Every index takes the speakers per language of one area (Map language -> speakers,
+// e.g. data.languageTotalsFor(state)) and works on the shares p_i = speakers_i / total.
+// statesSummary(data) computes them all for every state of the data layer, and
+// similarity(a, b) compares the mixes of two areas.
+const diversity = (function() {
+    // Shares of each language in the mix (languages without speakers are skipped)
+    function shares(totals) {
+        const values = Array.from(totals.values()).filter(v => v > 0);
+        const total = values.reduce((s, v) => s + v, 0);
+        return total > 0 ? values.map(v => v / total) : [];
+    }
+
+    // Shannon entropy H = -sum(p ln p), in nats: 0 when everyone speaks the same language
+    function shannon(totals) {
+        return shares(totals).reduce((h, p) => h - p * Math.log(p), 0);
+    }
+
+    // Gini-Simpson index 1 - sum(p^2): probability that two random speakers use different languages
+    function simpson(totals) {
+        const p = shares(totals);
+        if (!p.length) return 0;
+        return 1 - p.reduce((s, x) => s + x * x, 0);
+    }
+
+    // exp(H): number of equally common languages that would give the same Shannon entropy
+    function effectiveNumber(totals) {
+        return Math.exp(shannon(totals));
+    }
+
+    // Overlap of two language mixes: sum over languages of min(p_i, q_i), from 0 (no language
+    // in common) to 1 (same languages in the same proportions)
+    function similarity(totalsA, totalsB) {
+        const sumOf = totals => Array.from(totals.values()).filter(v => v > 0).reduce((s, v) => s + v, 0);
+        const totalA = sumOf(totalsA);
+        const totalB = sumOf(totalsB);
+        if (!totalA || !totalB) return 0;
+        let overlap = 0;
+        totalsA.forEach((v, lang) => {
+            const w = totalsB.get(lang);
+            if (v > 0 && w > 0) overlap += Math.min(v / totalA, w / totalB);
+        });
+        return overlap;
+    }
+
+    // Indexes offered by the diversity charts
+    const INDEXES = {
+        effective: {
+            label: 'Effective number of languages',
+            format: d3.format('.2f'),
+            value: effectiveNumber
+        },
+        shannon: {
+            label: 'Shannon entropy',
+            format: d3.format('.3f'),
+            value: shannon
+        },
+        simpson: {
+            label: "Simpson's index",
+            format: d3.format('.3f'),
+            value: simpson
+        },
+        distinct: {
+            label: 'Distinct languages listed',
+            format: d3.format('d'),
+            value: totals => Array.from(totals.values()).filter(v => v > 0).length
+        }
+    };
+
+    // Every index for every state of the data layer ({ state, speakers, effective, shannon, simpson, distinct })
+    function statesSummary(data) {
+        return Array.from(data.languageTotalsByState, ([state, totals]) => {
+            const row = { state, speakers: d3.sum(Array.from(totals.values())) };
+            Object.keys(INDEXES).forEach(key => row[key] = INDEXES[key].value(totals));
+            return row;
+        }).filter(d => d.state !== 'Unknown' && d.speakers > 0);
+    }
+
+    return { shares, shannon, simpson, effectiveNumber, similarity, INDEXES, statesSummary };
+})();
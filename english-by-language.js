@@ -0,0 +1,347 @@
+// ===========================
+// English proficiency by language: which language communities the limited-English figures come from
+// ===========================
+// Two charts on the level chosen in #proficiency-level-select (appState.proficiencyLevel: language,
+// subgroup or family):
+// - a ranking of the share of speakers who speak English less than "very well", with its confidence
+//   interval, in the selected state (nationwide when none);
+// - one 100% stacked bar per state splitting its speakers of English less than "very well" between the
+//   largest languages nationwide and all the others. Clicking a bar selects the state on the whole page.
+dataLayer.load().then(function setupEnglishByLanguage(data) {
+    try {
+        // Shares of small communities rest on a handful of answers: they are left out of the ranking
+        const MIN_SPEAKERS = 1000;
+        const RANKED = 25;
+        // Segments of the stacked bars (the others are gathered in OTHER)
+        const SEGMENTS = 8;
+        const OTHER = 'All other languages';
+        // Names of the entries of each level in the captions (singular, plural)
+        const LEVEL_NAMES = {
+            language: ['language', 'languages'],
+            subgroup: ['subgroup', 'subgroups'],
+            group: ['language family', 'language families']
+        };
+
+        const currentLevel = () => ['subgroup', 'group'].includes(appState.get('proficiencyLevel')) ? appState.get('proficiencyLevel') : 'language';
+        const levelSelect = d3.select('#proficiency-level-select')
+            .on('change', function() {
+                appState.set('proficiencyLevel', this.value === 'language' ? null : this.value);
+            });
+
+        const percent = v => (v >= 10 ? v.toFixed(0) : v.toFixed(1)) + '%';
+        const pctFormat = v => v.toFixed(1) + '%';
+        const truncate = name => name.length > 32 ? name.slice(0, 31) + '…' : name;
+
+        // Speakers and speakers of English less than "very well" per key of the level, over some rows,
+        // with the share of the second in the first ({ key, speakers, speakersMoe, limited, limitedMoe, share, shareMoe })
+        function proficiencyOf(rows, level) {
+            const speakers = dataLayer.aggregate(rows, level);
+            const speakersMoe = dataLayer.aggregateMoe(rows, level);
+            const limited = dataLayer.aggregateLessVeryWell(rows, level);
+            return Array.from(limited, ([key, estimate]) => {
+                const total = speakers.get(key) || 0;
+                return {
+                    key,
+                    speakers: total,
+                    speakersMoe: speakersMoe.get(key) || 0,
+                    limited: estimate.value,
+                    limitedMoe: estimate.moe,
+                    share: total ? estimate.value / total * 100 : null,
+                    shareMoe: total ? dataLayer.proportionMoe(estimate.value, estimate.moe, total, speakersMoe.get(key)) * 100 : null
+                };
+            });
+        }
+
+        // --- Ranking of the share of speakers of English less than "very well" ---
+        // Both charts are as wide as their container (measured on every render); narrow screens get
+        // a smaller margin for the names
+        const widthOf = selector => Math.max(320, chartWidth(selector, 920));
+        const rankRow = 20;
+        const rankMarginFor = w => ({top: 10, right: 70, bottom: 50, left: w < 600 ? 140 : 230});
+
+        const rankContainer = d3.select('#proficiency-ranking-container');
+        const rankCaption = rankContainer.append('div').attr('class', 'proficiency-caption');
+        const svgRank = rankContainer.append('svg')
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+        const rankG = svgRank.append('g');
+        const rankXAxis = rankG.append('g');
+        const rankXLabel = rankXAxis.append('text')
+            .attr('y', 40)
+            .attr('fill', '#000')
+            .attr('text-anchor', 'middle')
+            .text('Share of its speakers who speak English less than "very well"');
+        const rankYAxis = rankG.append('g');
+        const rankRows = rankG.append('g');
+
+        function rankFigures(d) {
+            return [
+                `${formatEstimate(d.share, d.shareMoe, pctFormat)} speak English less than "very well"`,
+                `${formatEstimate(d.limited, d.limitedMoe)} of ${formatEstimate(d.speakers, d.speakersMoe)} speakers`
+            ];
+        }
+
+        // Entries currently ranked (for the CSV export)
+        let rankItems = [];
+
+        function renderRanking() {
+            const state = appState.get('state');
+            const level = currentLevel();
+            rankItems = proficiencyOf(data.rowsFor(state), level)
+                // English itself has no speakers of English less than "very well"
+                .filter(d => d.speakers >= MIN_SPEAKERS && d.limited > 0)
+                .sort((a, b) => b.share - a.share)
+                .slice(0, RANKED);
+
+            const [singular, plural] = LEVEL_NAMES[level];
+            const minimum = `at least ${MIN_SPEAKERS.toLocaleString()} speakers`;
+            rankCaption.text(rankItems.length
+                ? `${state || 'Nationwide'}: the ${rankItems.length > 1 ? `${rankItems.length} ${plural}` : singular} with ${minimum} ` +
+                    'whose speakers most often speak English less than "very well"'
+                : `${state || 'Nationwide'}: no ${singular} with ${minimum}`);
+
+            const rankW = widthOf('#proficiency-ranking-container');
+            const rankMargin = rankMarginFor(rankW);
+            const rankInnerW = rankW - rankMargin.left - rankMargin.right;
+            const innerH = Math.max(rankItems.length, 1) * rankRow;
+            svgRank.attr('viewBox', `0 0 ${rankW} ${innerH + rankMargin.top + rankMargin.bottom}`);
+            rankG.attr('transform', `translate(${rankMargin.left},${rankMargin.top})`);
+            rankXLabel.attr('x', rankInnerW / 2);
+
+            const interval = d => dataLayer.confidenceInterval(d.share, d.shareMoe).map(v => Math.min(100, v));
+            const x = d3.scaleLinear().domain([0, d3.max(rankItems, d => interval(d)[1]) || 100]).range([0, rankInnerW]).nice();
+            const y = d3.scaleBand().domain(rankItems.map(d => d.key)).range([0, innerH]).padding(0.3);
+            const t = svgRank.transition().duration(transitionDuration());
+
+            rankXAxis.attr('transform', `translate(0,${innerH})`)
+                .transition(t)
+                .call(d3.axisBottom(x).ticks(6).tickFormat(v => v + '%'));
+            rankXLabel.raise();
+            rankYAxis.transition(t).call(d3.axisLeft(y).tickSize(0).tickFormat(truncate));
+            rankYAxis.selectAll('.tick text')
+                .attr('font-size', 12)
+                .attr('font-family', 'Fira Sans, sans-serif')
+                .selectAll('title').data(d => [d]).join('title').text(d => d);
+
+            const midY = d => y(d.key) + y.bandwidth() / 2;
+            const rows = rankRows.selectAll('.proficiency-rank')
+                .data(rankItems, d => d.key)
+                .join(
+                    enter => {
+                        const row = enter.append('g')
+                            .attr('class', 'proficiency-rank')
+                            .style('opacity', 0)
+                            .on('mouseover', (event, d) => showTooltip(event, [`<strong>${d.key}</strong>`].concat(rankFigures(d)).join('<br/>')))
+                            .on('mousemove', moveTooltip)
+                            .on('mouseout', hideTooltip);
+                        row.append('line').attr('class', 'proficiency-whisker');
+                        row.append('circle').attr('r', 5);
+                        row.append('text').attr('class', 'proficiency-value').attr('dy', '0.35em');
+                        return row;
+                    },
+                    update => update,
+                    exit => exit.transition(t).style('opacity', 0).remove()
+                );
+            rows.transition(t).style('opacity', 1);
+            rows.select('.proficiency-whisker')
+                .transition(t)
+                .attr('x1', d => x(interval(d)[0]))
+                .attr('x2', d => x(interval(d)[1]))
+                .attr('y1', midY)
+                .attr('y2', midY);
+            rows.select('circle')
+                .transition(t)
+                .attr('cx', d => x(d.share))
+                .attr('cy', midY);
+            rows.select('.proficiency-value')
+                .text(d => percent(d.share))
+                .transition(t)
+                .attr('x', d => x(interval(d)[1]) + 6)
+                .attr('y', midY);
+        }
+
+        // --- 100% stacked bar per state ---
+        const stackRow = 16;
+        // The legend above the bars takes one row of swatches per LEGEND_ROW pixels
+        const LEGEND_ROW = 18;
+        const legendColumns = w => w < 600 ? 2 : 3;
+        const stackMarginFor = (w, legendRows) => ({top: legendRows * LEGEND_ROW + 16, right: 20, bottom: 40, left: w < 600 ? 110 : 150});
+
+        const svgStack = d3.select('#proficiency-stack-container').append('svg')
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+        const stackLegend = svgStack.append('g')
+            .attr('class', 'proficiency-legend');
+        const stackG = svgStack.append('g');
+        const stackXAxis = stackG.append('g');
+        const stackYAxis = stackG.append('g');
+        const stackBars = stackG.append('g');
+
+        // Categorical colors of the segments (the domain keeps its order when the palette changes)
+        const segmentColor = d3.scaleOrdinal();
+        const fillOf = key => key === OTHER ? '#bbb' : segmentColor(key);
+
+        // States currently drawn ({ state, total, segments: [{ key, value, share, x0, x1 }] }) and their segment keys
+        let stackItems = [];
+        let stackKeys = [];
+
+        function renderStack() {
+            const level = currentLevel();
+            const nationwide = dataLayer.aggregateLessVeryWell(data.rows, level);
+            const largest = Array.from(nationwide, ([key, estimate]) => ({ key, value: estimate.value }))
+                .filter(d => d.value > 0)
+                .sort((a, b) => b.value - a.value);
+            const segmentKeys = largest.slice(0, SEGMENTS).map(d => d.key);
+            stackKeys = largest.length > SEGMENTS ? segmentKeys.concat([OTHER]) : segmentKeys;
+            segmentColor.range(colorSchemes.currentPalette().categorical).domain(segmentKeys);
+
+            stackItems = data.stateList
+                .map(state => {
+                    const byKey = dataLayer.aggregateLessVeryWell(data.rowsFor(state), level);
+                    const total = d3.sum(byKey.values(), d => d.value);
+                    const values = new Map(segmentKeys.map(key => [key, byKey.has(key) ? byKey.get(key).value : 0]));
+                    if (stackKeys.includes(OTHER)) values.set(OTHER, total - d3.sum(values.values()));
+                    let x0 = 0;
+                    const segments = stackKeys.map(key => {
+                        const share = total ? values.get(key) / total : 0;
+                        const segment = { state, key, value: values.get(key), share, x0, x1: x0 + share };
+                        x0 += share;
+                        return segment;
+                    });
+                    return { state, total, segments };
+                })
+                .filter(d => d.total > 0)
+                // states where the largest community dominates the most come first
+                .sort((a, b) => b.segments[0].share - a.segments[0].share || a.state.localeCompare(b.state));
+
+            const stackW = widthOf('#proficiency-stack-container');
+            const perRow = legendColumns(stackW);
+            const stackMargin = stackMarginFor(stackW, Math.ceil(stackKeys.length / perRow));
+            const stackInnerW = stackW - stackMargin.left - stackMargin.right;
+            const innerH = stackItems.length * stackRow;
+            svgStack.attr('viewBox', `0 0 ${stackW} ${innerH + stackMargin.top + stackMargin.bottom}`);
+            stackLegend.attr('transform', `translate(${stackMargin.left},10)`);
+            stackG.attr('transform', `translate(${stackMargin.left},${stackMargin.top})`);
+
+            const x = d3.scaleLinear().domain([0, 1]).range([0, stackInnerW]);
+            const y = d3.scaleBand().domain(stackItems.map(d => d.state)).range([0, innerH]).padding(0.15);
+            const t = svgStack.transition().duration(transitionDuration());
+
+            stackXAxis.attr('transform', `translate(0,${innerH})`)
+                .transition(t)
+                .call(d3.axisBottom(x).ticks(stackW < 600 ? 5 : 10, '%'));
+            stackYAxis.transition(t).call(d3.axisLeft(y).tickSize(0));
+            stackYAxis.selectAll('.tick text')
+                .attr('font-size', 11)
+                .attr('font-family', 'Fira Sans, sans-serif');
+
+            // Legend: one swatch per segment, on several rows when needed
+            const legendItems = stackLegend.selectAll('.proficiency-legend-item')
+                .data(stackKeys)
+                .join(enter => {
+                    const item = enter.append('g').attr('class', 'proficiency-legend-item');
+                    item.append('rect').attr('width', 12).attr('height', 12);
+                    item.append('text').attr('x', 16).attr('y', 10);
+                    return item;
+                })
+                .attr('transform', (d, i) => `translate(${(i % perRow) * (stackInnerW / perRow)},${Math.floor(i / perRow) * LEGEND_ROW})`);
+            legendItems.select('rect').attr('fill', fillOf);
+            legendItems.select('text').text(truncate);
+
+            const bars = stackBars.selectAll('.proficiency-stack')
+                .data(stackItems, d => d.state)
+                .join(enter => enter.append('g').attr('class', 'proficiency-stack'));
+            bars.transition(t).attr('transform', d => `translate(0,${y(d.state)})`);
+
+            bars.selectAll('rect.proficiency-segment')
+                .data(d => d.segments, d => d.key)
+                .join(enter => enter.append('rect')
+                    .attr('class', 'proficiency-segment')
+                    .style('cursor', 'pointer')
+                    .on('mouseover', (event, d) => showTooltip(event, `<strong>${d.state}</strong><br/>` + segmentFigures(d)))
+                    .on('mousemove', moveTooltip)
+                    .on('mouseout', hideTooltip)
+                    .on('click', (event, d) => toggleSelectedState(d.state)))
+                .attr('height', y.bandwidth())
+                .attr('fill', d => fillOf(d.key))
+                .transition(t)
+                .attr('x', d => x(d.x0))
+                .attr('width', d => Math.max(0, x(d.x1) - x(d.x0)));
+
+            markSelected();
+        }
+
+        function segmentFigures(d) {
+            return `${d.key}: ${percent(d.share * 100)} of the speakers of English less than "very well" (${Math.round(d.value).toLocaleString()})`;
+        }
+
+        // Selected state: outlined bar and bold name
+        function markSelected() {
+            const selected = appState.get('state');
+            stackBars.selectAll('.proficiency-stack').classed('proficiency-selected', d => d.state === selected);
+            stackYAxis.selectAll('.tick text').attr('font-weight', d => d === selected ? 'bold' : null);
+        }
+
+        function renderAll() {
+            levelSelect.property('value', currentLevel());
+            renderRanking();
+            renderStack();
+        }
+
+        renderAll();
+
+        chartExport.register({
+            container: '#proficiency-ranking-container',
+            name: 'english-proficiency-by-language',
+            rows: () => rankItems.map(d => {
+                const [low, high] = dataLayer.confidenceInterval(d.share, d.shareMoe);
+                return {
+                    Name: d.key,
+                    Speakers: d.speakers,
+                    "Speakers MOE": d.speakersMoe,
+                    'Less than "very well"': d.limited,
+                    'Less than "very well" MOE': d.limitedMoe,
+                    "Share (%)": d.share,
+                    "Share MOE (pp)": d.shareMoe,
+                    "CI low": low,
+                    "CI high": Math.min(100, high)
+                };
+            })
+        });
+        chartA11y.register({
+            container: '#proficiency-ranking-container',
+            title: () => rankCaption.text(),
+            marks: '.proficiency-rank',
+            markName: 'entries',
+            label: d => `${d.key}: ${rankFigures(d).join(', ')}`,
+            navigation: 'list'
+        });
+
+        chartExport.register({
+            container: '#proficiency-stack-container',
+            name: 'english-proficiency-by-state-and-language',
+            rows: () => stackItems.map(d => Object.assign(
+                { State: d.state, 'Less than "very well"': d.total },
+                Object.fromEntries(d.segments.map(s => [`${s.key} (%)`, s.share * 100]))
+            ))
+        });
+        chartA11y.register({
+            container: '#proficiency-stack-container',
+            title: () => `Speakers of English less than "very well" in each state, split by ${LEVEL_NAMES[currentLevel()][0]}`,
+            marks: 'rect.proficiency-segment',
+            markName: 'segments',
+            label: d => `${d.state}, ${segmentFigures(d)}` + (d.state === appState.get('state') ? ', selected' : ''),
+            selectable: true
+        });
+
+        appState.on('proficiencyLevel', renderAll);
+        appState.on('state', () => {
+            renderRanking();
+            markSelected();
+        });
+        appState.on('palette', renderStack);
+        appState.on('includeNonStates', renderAll);
+        onContainerResize('#proficiency-ranking-container', renderRanking);
+        onContainerResize('#proficiency-stack-container', renderStack);
+    } catch (err) {
+        console.error('Error rendering English proficiency by language:', err);
+    }
+});
@@ -0,0 +1,198 @@
+// ===========================
+// Language families: zoomable sunburst of Group -> Subgroup -> Language
+// ===========================
+// Follows the selected state (nationwide when none). Click a ring to zoom into it,
+// click the centre to zoom back out.
+dataLayer.load().then(function setupLanguageFamilies(data) {
+    try {
+        const size = 640;
+        const radius = size / 8; // 4 rings: centre + group + subgroup + language
+
+        const container = d3.select('#family-container');
+        const caption = container.append('div').attr('class', 'family-caption');
+        const svgFamily = container.append('svg')
+            .attr('viewBox', `${-size / 2} ${-size / 2} ${size} ${size}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+        const info = container.append('div').attr('class', 'family-info');
+
+        // One hue per family (from the categorical colors of the palette); subgroups and languages
+        // reuse their family's hue, lighter with depth
+        const familyColor = d3.scaleOrdinal(colorSchemes.currentPalette().categorical);
+        function fillOf(d) {
+            let family = d;
+            while (family.depth > 1) family = family.parent;
+            return d3.interpolateRgb(familyColor(family.data.name), '#fff')((d.depth - 1) * 0.25);
+        }
+
+        const arc = d3.arc()
+            .startAngle(d => d.x0)
+            .endAngle(d => d.x1)
+            .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.005))
+            .padRadius(radius * 1.5)
+            .innerRadius(d => d.y0 * radius)
+            .outerRadius(d => Math.max(d.y0 * radius, d.y1 * radius - 1));
+
+        const arcVisible = d => d.y1 <= 4 && d.y0 >= 1 && d.x1 > d.x0;
+        const labelVisible = d => d.y1 <= 4 && d.y0 >= 1 && (d.y1 - d.y0) * (d.x1 - d.x0) > 0.04;
+        function labelTransform(d) {
+            const x = (d.x0 + d.x1) / 2 * 180 / Math.PI;
+            const y = (d.y0 + d.y1) / 2 * radius;
+            return `rotate(${x - 90}) translate(${y},0) rotate(${x < 180 ? 0 : 180})`;
+        }
+
+        function shareText(d, root) {
+            const pct = root.value ? (d.value / root.value * 100) : 0;
+            const parentPct = d.parent && d.parent.value ? (d.value / d.parent.value * 100) : 100;
+            const moe = dataLayer.combineMoe(d.leaves().map(leaf => leaf.data.moe));
+            return `${formatEstimate(d.value, moe)} speakers — ${pct.toFixed(2)}% of all speakers` +
+                (d.depth > 1 ? `, ${parentPct.toFixed(1)}% of ${d.parent.data.name}` : '');
+        }
+
+        // Hierarchy currently drawn (for the CSV export)
+        let familyRoot = null;
+
+        function renderFamilies() {
+            const state = appState.get('state');
+            const includeEnglish = appState.get('familyEnglish') !== false;
+            d3.select('#family-english-check').property('checked', includeEnglish);
+
+            const root = d3.hierarchy(data.hierarchyFor(state, includeEnglish ? [] : ['English']))
+                .sum(d => d.value || 0)
+                .sort((a, b) => b.value - a.value);
+            d3.partition().size([2 * Math.PI, 4])(root);
+            root.each(d => d.current = d);
+            familyRoot = root;
+
+            caption.text(`${state || 'Nationwide'} — ${root.value.toLocaleString()} speakers` +
+                (includeEnglish ? '' : ' (excluding English)'));
+            info.text('');
+            svgFamily.selectAll('*').remove();
+
+            const g = svgFamily.append('g');
+
+            const paths = g.append('g')
+                .selectAll('path')
+                .data(root.descendants().slice(1))
+                .join('path')
+                .attr('class', 'family-arc')
+                .attr('aria-label', d => `${d.ancestors().reverse().slice(1).map(a => a.data.name).join(', ')}: ${shareText(d, root)}` +
+                    (d.children ? '. Enter zooms in' : ''))
+                .attr('fill', fillOf)
+                .attr('fill-opacity', d => arcVisible(d.current) ? 1 : 0)
+                .attr('pointer-events', d => arcVisible(d.current) ? 'auto' : 'none')
+                .attr('d', d => arc(d.current))
+                .style('cursor', d => d.children ? 'pointer' : 'default')
+                .on('mouseover', (event, d) => info.text(`${d.ancestors().reverse().slice(1).map(a => a.data.name).join(' › ')}: ${shareText(d, root)}`))
+                .on('mouseout', () => info.text(''))
+                .on('click', (event, d) => { if (d.children) zoom(d); });
+
+            paths.append('title').text(d => `${d.data.name}\n${shareText(d, root)}`);
+
+            const labels = g.append('g')
+                .attr('pointer-events', 'none')
+                .attr('text-anchor', 'middle')
+                .style('user-select', 'none')
+                .selectAll('text')
+                .data(root.descendants().slice(1))
+                .join('text')
+                .attr('dy', '0.35em')
+                .attr('font-size', 10)
+                .attr('fill-opacity', d => +labelVisible(d.current))
+                .attr('transform', d => labelTransform(d.current))
+                .text(d => d.data.name.length > 18 ? d.data.name.slice(0, 17) + '…' : d.data.name);
+
+            // Centre: click to zoom out, shows the current node
+            const centre = g.append('g').attr('class', 'family-centre').style('cursor', 'pointer').on('click', (event) => {
+                const focus = centre.datum();
+                if (focus.parent) zoom(focus.parent);
+            });
+            centre.append('circle')
+                .attr('r', radius)
+                .attr('fill', '#fff')
+                .attr('stroke', '#ddd');
+            const centreLabel = centre.append('text')
+                .attr('text-anchor', 'middle')
+                .attr('dy', '0.35em')
+                .attr('font-size', 11)
+                .attr('font-weight', 'bold');
+
+            function setCentre(focus) {
+                centre.datum(focus);
+                const name = focus.depth === 0 ? (state || 'Nationwide') : focus.data.name;
+                centreLabel.text(name.length > 20 ? name.slice(0, 19) + '…' : name);
+                centre.select('title').remove();
+                centre.append('title').text(focus.parent ? `Back to ${focus.parent.data.name || 'all families'}` : name);
+                centre.attr('aria-label', focus.parent ? `${name}. Enter goes back to ${focus.parent.data.name || 'all families'}` : name);
+            }
+            setCentre(root);
+
+            function zoom(p) {
+                setCentre(p);
+                root.each(d => d.target = {
+                    x0: Math.max(0, Math.min(1, (d.x0 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+                    x1: Math.max(0, Math.min(1, (d.x1 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+                    y0: Math.max(0, d.y0 - p.depth),
+                    y1: Math.max(0, d.y1 - p.depth)
+                });
+
+                const t = svgFamily.transition().duration(750);
+
+                paths.transition(t)
+                    .tween('data', d => {
+                        const i = d3.interpolate(d.current, d.target);
+                        return tt => d.current = i(tt);
+                    })
+                    .filter(function(d) {
+                        return +this.getAttribute('fill-opacity') || arcVisible(d.target);
+                    })
+                    .attr('fill-opacity', d => arcVisible(d.target) ? 1 : 0)
+                    .attr('pointer-events', d => arcVisible(d.target) ? 'auto' : 'none')
+                    .attrTween('d', d => () => arc(d.current));
+
+                labels.filter(function(d) {
+                    return +this.getAttribute('fill-opacity') || labelVisible(d.target);
+                }).transition(t)
+                    .attr('fill-opacity', d => +labelVisible(d.target))
+                    .attrTween('transform', d => () => labelTransform(d.current));
+            }
+        }
+
+        renderFamilies();
+
+        chartExport.register({
+            container: '#family-container',
+            name: 'language-families',
+            rows: () => familyRoot.descendants().slice(1).map(d => ({
+                Level: ['Language family', 'Subgroup', 'Language'][d.depth - 1],
+                Path: d.ancestors().reverse().slice(1).map(a => a.data.name).join(' > '),
+                Speakers: d.value,
+                MOE: dataLayer.combineMoe(d.leaves().map(leaf => leaf.data.moe)),
+                'Share of all speakers (%)': familyRoot.value ? d.value / familyRoot.value * 100 : 0
+            }))
+        });
+
+        chartA11y.register({
+            container: '#family-container',
+            title: () => `Language families spoken in ${appState.get('state') || 'the United States'}`,
+            marks: '.family-arc, .family-centre',
+            markName: 'families and languages',
+            navigation: 'list',
+            selectable: true
+        });
+
+        d3.select('#family-english-check').on('change', function() {
+            appState.set('familyEnglish', this.checked);
+        });
+
+        appState.on('state', renderFamilies);
+        appState.on('familyEnglish', renderFamilies);
+        appState.on('includeNonStates', renderFamilies);
+        // Recolor in place, keeping the current zoom
+        appState.on('palette', () => {
+            familyColor.range(colorSchemes.currentPalette().categorical);
+            svgFamily.selectAll('.family-arc').attr('fill', fillOf);
+        });
+    } catch (err) {
+        console.error('Error rendering language families:', err);
+    }
+});
@@ -2,161 +2,404 @@
 const width = 960;
 const height = 600;
 
-// Create SVG container
+// Create SVG container (drawn at 960×600 and scaled to the width of its container)
 const svg = d3.select("#map-container")
     .append("svg")
-    .attr("width", width)
-    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("preserveAspectRatio", "xMidYMid meet")
     .style("border", "1px solid #ccc");
 
-// Create projection and path generator
-const projection = d3.geoAlbersUsa()
-    .translate([width / 2, height / 2])
-    .scale(800);
-
-const path = d3.geoPath().projection(projection);
-
-// Load data in parallel
-Promise.all([
-    d3.json("https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json"),
-    d3.csv("data/LanguageData_States.csv"),
-    d3.csv("data/us_statewise_population.csv")
-]).then(([us, languageData, popData]) => {
-    // Robustly parse speaker counts from strings to numbers
-    function parseSpeakers(raw) {
-        if (raw === undefined || raw === null) return null;
-        let s = String(raw).trim();
-        if (s === "") return null;
-
-        // Remove parenthetical notes and commas
-        s = s.replace(/\(.*?\)/g, "").replace(/,/g, "").trim();
-
-        // Handle ranges like "1000-2000" or "1 000 - 2 000"
-        const nums = s.match(/[0-9]+(?:\.[0-9]+)?/g);
-        if (!nums) return null;
-        const parsed = nums.map(n => parseFloat(n));
-
-        if (s.includes("-") && parsed.length >= 2) {
-            // average the range
-            return (parsed[0] + parsed[parsed.length - 1]) / 2;
+// Containers of the three maps drawn from the state geometry
+const MAP_CONTAINERS = [
+    "#map-container",
+    "#english-proficiency-map-container",
+    "#language-map-container",
+    "#bivariate-map-container"
+];
+
+// Replace a map container's content with a visible error panel
+function showMapError(containerSelector, message) {
+    const container = d3.select(containerSelector);
+    container.selectAll("*").remove();
+    const panel = container.append("div")
+        .attr("class", "map-error")
+        .attr("role", "alert");
+    panel.append("strong").text("Map unavailable");
+    panel.append("p").text(message);
+}
+
+const { canonicalStateName, featureState } = dataLayer;
+
+// Composite projection of the maps, centred on (cx, cy) at scale k (the scale of d3.geoAlbersUsa):
+// the lower 48 states in Albers, Alaska, Hawaii and Puerto Rico in insets below them, and the
+// District of Columbia enlarged in a box off the east coast (it is a few pixels wide otherwise).
+// Returns a path generator for the state features; path.insets lists the boxes for drawMapInsets.
+function compositeStatePath(features, cx, cy, k) {
+    const box = (x0, y0, x1, y1) => [[cx + x0 * k, cy + y0 * k], [cx + x1 * k, cy + y1 * k]];
+    const insets = [
+        {
+            state: "Alaska",
+            extent: box(-0.425, 0.12, -0.214, 0.234),
+            projection: d3.geoConicEqualArea().rotate([154, 0]).center([-2, 58.5]).parallels([55, 65])
+        },
+        {
+            state: "Hawaii",
+            extent: box(-0.214, 0.166, -0.115, 0.234),
+            projection: d3.geoConicEqualArea().rotate([157, 0]).center([-3, 19.9]).parallels([8, 18])
+        },
+        {
+            state: "Puerto Rico",
+            extent: box(0.13, 0.24, 0.26, 0.29),
+            projection: d3.geoConicEqualArea().rotate([66, 0]).center([0, 18]).parallels([8, 18])
+        },
+        {
+            state: "District of Columbia",
+            label: "DC",
+            extent: box(0.335, 0.035, 0.365, 0.065),
+            projection: d3.geoMercator()
         }
+    ];
+
+    const mainland = d3.geoAlbers().scale(k).translate([cx, cy]);
+    const mainlandPath = d3.geoPath(mainland);
+    const insetPaths = new Map();
+    insets.forEach(inset => {
+        const feature = features.find(f => featureState(f) === inset.state);
+        if (!feature) return;
+        const [[x0, y0], [x1, y1]] = inset.extent;
+        inset.projection.fitExtent([[x0 + 3, y0 + 3], [x1 - 3, y1 - 3]], feature);
+        // where the jurisdiction really is (the DC box is linked to it by a leader line)
+        inset.origin = mainland(d3.geoCentroid(feature));
+        insetPaths.set(inset.state, d3.geoPath(inset.projection));
+    });
 
-        // If text includes a "<" (less than), use the number after it
-        if (s.indexOf('<') !== -1 && parsed.length >= 1) {
-            return parsed[0];
-        }
+    const path = d => (insetPaths.get(featureState(d)) || mainlandPath)(d);
+    path.insets = insets.filter(inset => insetPaths.has(inset.state));
+    return path;
+}
 
-        // Default: return the first found number
-        return parsed[0];
+// Frames of the insets of a composite map (appended to parent, before the states so they stay clickable)
+function drawMapInsets(parent, path) {
+    const insets = parent.append("g")
+        .attr("class", "map-insets")
+        .style("pointer-events", "none")
+        .selectAll("g")
+        .data(path.insets)
+        .join("g")
+        .attr("class", "map-inset");
+    insets.append("rect")
+        .attr("x", d => d.extent[0][0])
+        .attr("y", d => d.extent[0][1])
+        .attr("width", d => d.extent[1][0] - d.extent[0][0])
+        .attr("height", d => d.extent[1][1] - d.extent[0][1]);
+    const enlarged = insets.filter(d => d.label);
+    enlarged.append("line")
+        .attr("x1", d => d.origin[0])
+        .attr("y1", d => d.origin[1])
+        .attr("x2", d => d.extent[0][0])
+        .attr("y2", d => d.extent[0][1]);
+    enlarged.append("text")
+        .attr("x", d => d.extent[1][0] + 4)
+        .attr("y", d => (d.extent[0][1] + d.extent[1][1]) / 2 + 4)
+        .text(d => d.label);
+}
+
+// Leave DC and Puerto Rico (paths and inset frames) off a map when the page covers the 50 states only
+function scopeMapJurisdictions(mapSvg) {
+    const hidden = name => appState.get("includeNonStates") === false && dataLayer.NON_STATES.includes(name);
+    mapSvg.selectAll("path.state").style("display", d => hidden(featureState(d)) ? "none" : null);
+    mapSvg.selectAll(".map-inset").style("display", d => hidden(d.state) ? "none" : null);
+}
+
+// Select a state on every chart (clicking the selected state again returns to nationwide)
+function toggleSelectedState(stateName) {
+    appState.set("state", appState.get("state") === stateName ? null : stateName);
+}
+
+// Jurisdictions drawn on the maps without survey data (Puerto Rico) are greyed out and cannot be selected
+function markNoSurveyData(paths, data) {
+    paths.classed("state-no-data", d => !data.hasSurveyData(featureState(d)))
+        .style("cursor", d => data.hasSurveyData(featureState(d)) ? "pointer" : "default");
+}
+
+// Click on a state of a map: select it, unless it has no survey data
+function selectMapState(data, d) {
+    if (data.hasSurveyData(featureState(d))) toggleSelectedState(featureState(d));
+}
+
+// Outline the selected state on a map and bring it to the front so its border is not covered
+function highlightSelectedState(paths) {
+    const selected = appState.get("state");
+    paths.classed("state-selected", d => featureState(d) === selected)
+        .filter(d => featureState(d) === selected)
+        .raise();
+}
+
+// An estimate with its confidence interval, e.g. "1,234 (90% CI 1,178–1,290)"
+function formatEstimate(value, moe, format = v => Math.round(v).toLocaleString()) {
+    if (moe == null || isNaN(moe)) return format(value);
+    const [low, high] = dataLayer.confidenceInterval(value, moe);
+    return `${format(value)} (${dataLayer.MOE_CONFIDENCE} CI ${format(low)}–${format(high)})`;
+}
+
+// Change between two vintages (an entry of dataLayer.changeBetween), e.g. "+1,234 ± 567 (+12.3%)"
+function formatChange(c) {
+    const pct = c.pctChange != null ? d3.format("+.1f")(c.pctChange) + "%" : (c.to > 0 ? "new" : "no speakers");
+    return `${d3.format("+,.0f")(c.change)} ± ${Math.round(c.moe).toLocaleString()} (${pct})`;
+}
+
+// Vintages compared by the change views (appState.changeFrom / changeTo, the first and the last of
+// data.vintages by default): { from, to, label } where from and to are { key, label, file, fields }.
+// The same vintage on both ends (e.g. from a link) has no change to show: the defaults are used instead
+function changeVintages(data) {
+    const first = data.vintages[0], last = data.vintages[data.vintages.length - 1];
+    const pick = (key, fallback) => data.vintages.find(v => v.key === appState.get(key)) || fallback;
+    let from = pick("changeFrom", first);
+    let to = pick("changeTo", last);
+    if (from === to) [from, to] = [first, last];
+    return { from, to, label: `${from.label} to ${to.label}` };
+}
+
+// Whether a chart shows the change between vintages: its mode key is "change" and there are two to compare
+function inChangeMode(data, key) {
+    return data.vintages.length > 1 && appState.get(key) === "change";
+}
+
+// Whether a state has survey data in both compared vintages (changes are only computed for those)
+function surveyedInChange(data, name) {
+    const { from, to } = changeVintages(data);
+    return data.hasSurveyData(name, [from.key, to.key]);
+}
+
+// Change between the compared vintages (Map key -> dataLayer.changeBetween entry); estimatesOf(indexes)
+// returns the [estimates, MOEs] Maps a chart reads from the indexes of a vintage. With byState, the keys are
+// states: a state surveyed in both vintages counts 0 in the one that does not list it, the others have no change
+function vintageChange(data, estimatesOf, byState = false) {
+    const { from, to } = changeVintages(data);
+    let [fromValues, fromMoes] = estimatesOf(data.vintage(from.key));
+    let [toValues, toMoes] = estimatesOf(data.vintage(to.key));
+    if (byState) {
+        const states = Array.from(new Set([...fromValues.keys(), ...toValues.keys()])).filter(state => surveyedInChange(data, state));
+        fromValues = new Map(states.map(state => [state, fromValues.get(state) || 0]));
+        toValues = new Map(states.map(state => [state, toValues.get(state) || 0]));
     }
-
-    languageData.forEach(d => {
-        d.Speakers = parseSpeakers(d.Speakers);
-    });
-
-    // population parsing moved below (after canonicalStateName is defined)
-
-    // Group language data by canonical state name (handle abbreviations and variants)
-    const abbrevToName = {
-        AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California",
-        CO: "Colorado", CT: "Connecticut", DE: "Delaware", FL: "Florida", GA: "Georgia",
-        HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa",
-        KS: "Kansas", KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland",
-        MA: "Massachusetts", MI: "Michigan", MN: "Minnesota", MS: "Mississippi", MO: "Missouri",
-        MT: "Montana", NE: "Nebraska", NV: "Nevada", NH: "New Hampshire", NJ: "New Jersey",
-        NM: "New Mexico", NY: "New York", NC: "North Carolina", ND: "North Dakota", OH: "Ohio",
-        OK: "Oklahoma", OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina",
-        SD: "South Dakota", TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont",
-        VA: "Virginia", WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
-        DC: "District of Columbia"
+    return dataLayer.changeBetween(fromValues, fromMoes, toValues, toMoes);
+}
+
+// CSV export columns of a change between the compared vintages
+function changeColumns(data, c) {
+    const { from, to } = changeVintages(data);
+    return {
+        From: from.label,
+        "Speakers (from)": c.from,
+        "MOE (from)": c.fromMoe,
+        To: to.label,
+        "Speakers (to)": c.to,
+        "MOE (to)": c.toMoe,
+        Change: c.change,
+        "Change MOE": c.moe,
+        "Change (%)": c.pctChange != null ? c.pctChange : "",
+        Significant: c.significant ? "yes" : "no"
     };
-
-    function canonicalStateName(raw) {
-        if (raw === undefined || raw === null) return "Unknown";
-        let s = String(raw).trim();
-        if (s === "") return "Unknown";
-
-        // Remove trailing/leading punctuation and extra whitespace
-        s = s.replace(/[\.]/g, "").replace(/\s+/g, " ").trim();
-
-        // If it's a two-letter code, map via abbrev
-        if (s.length === 2) {
-            const up = s.toUpperCase();
-            if (abbrevToName[up]) return abbrevToName[up];
-        }
-
-        // Normalize common variants (remove word 'State', parentheses, etc.)
-        let clean = s.replace(/\(.*?\)/g, "").replace(/\bstate\b/i, "").trim();
-
-        // Try exact case-insensitive match against known names
-        for (const name of Object.values(abbrevToName)) {
-            if (name.toLowerCase() === clean.toLowerCase()) return name;
-        }
-
-        // Title-case fallback (e.g., 'california' -> 'California')
-        const title = clean.split(/\s+/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
-        return title;
+}
+
+// Tooltip line comparing a state with the selected one ("" when there is nothing to compare);
+// estimateOf(state) returns { value, moe } or null
+function comparisonText(state, estimateOf) {
+    const selected = appState.get("state");
+    if (!selected || selected === state) return "";
+    const a = estimateOf(state);
+    const b = estimateOf(selected);
+    if (!a || !b) return "";
+    const result = dataLayer.compareEstimates(a, b);
+    if (result === 0) return `vs. ${selected}: statistically indistinguishable`;
+    return `vs. ${selected}: significantly ${result > 0 ? "higher" : "lower"}`;
+}
+
+// Duration of the chart transitions (none when the reader prefers reduced motion)
+function transitionDuration() {
+    return window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches ? 0 : 600;
+}
+
+// Call fn once the calls have paused for `wait` ms (used on text inputs that redraw a chart)
+function debounce(fn, wait = 250) {
+    let timer = null;
+    return function(...args) {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn.apply(this, args), wait);
+    };
+}
+
+// Drawing width of a chart: the content width of its container (fallback while it has no layout)
+function chartWidth(selector, fallback) {
+    const node = document.querySelector(selector);
+    if (!node || !node.clientWidth) return fallback;
+    const style = window.getComputedStyle(node);
+    return node.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+}
+
+// Call render() whenever the width of a chart's container changes (once the resizing pauses)
+function onContainerResize(selector, render) {
+    const node = document.querySelector(selector);
+    if (!node || typeof ResizeObserver === "undefined") return;
+    let lastWidth = node.clientWidth;
+    const rerender = debounce(render, 150);
+    new ResizeObserver(() => {
+        if (node.clientWidth === lastWidth) return;
+        lastWidth = node.clientWidth;
+        rerender();
+    }).observe(node);
+}
+
+// Place a tooltip `dx`/`dy` away from the pointer, on the other side when it would leave the window
+// (tooltips inside a positioned container are placed relative to it)
+function positionTooltip(tooltip, event, dx = 10, dy = 10) {
+    const node = tooltip.node();
+    if (!node) return;
+    const margin = 4;
+    const viewLeft = window.scrollX, viewTop = window.scrollY;
+    let left = event.pageX + dx;
+    let top = event.pageY + dy;
+    if (left + node.offsetWidth > viewLeft + window.innerWidth - margin) left = event.pageX - Math.abs(dx) - node.offsetWidth;
+    if (top + node.offsetHeight > viewTop + window.innerHeight - margin) top = event.pageY - Math.abs(dy) - node.offsetHeight;
+    left = Math.max(viewLeft + margin, left);
+    top = Math.max(viewTop + margin, top);
+
+    const parent = node.offsetParent;
+    if (parent && parent !== document.body) {
+        const box = parent.getBoundingClientRect();
+        left -= box.left + viewLeft;
+        top -= box.top + viewTop;
     }
-
-    const languageByState = new Map();
-    languageData.forEach(d => {
-        const stateKey = canonicalStateName(d.State);
-        if (!languageByState.has(stateKey)) languageByState.set(stateKey, []);
-        languageByState.get(stateKey).push(d);
+    tooltip.style("left", left + "px").style("top", top + "px");
+}
+
+// Tooltip shared by the charts (a single .dot-tooltip div on the body): show it with `html` by the pointer,
+// follow the pointer, hide it
+function showTooltip(event, html) {
+    const tooltip = d3.select("body").selectAll(".dot-tooltip").data([0]).join(
+        enter => enter.append("div").attr("class", "dot-tooltip"),
+        update => update
+    );
+    tooltip.style("display", "block").html(html);
+    positionTooltip(tooltip, event);
+}
+function moveTooltip(event) {
+    positionTooltip(d3.select(".dot-tooltip"), event);
+}
+function hideTooltip() {
+    d3.select(".dot-tooltip").style("display", "none");
+}
+
+// Fill a map's classification select and keep it in sync with its appState key (continuous by default)
+function bindClassificationSelect(selector, key) {
+    const select = d3.select(selector);
+    select.selectAll("option")
+        .data(Object.keys(colorSchemes.CLASSIFICATIONS))
+        .join("option")
+        .attr("value", d => d)
+        .text(d => colorSchemes.CLASSIFICATIONS[d].label);
+    select.property("value", colorSchemes.classificationOf(key));
+    select.on("change", function() {
+        appState.set(key, this.value === "continuous" ? null : this.value);
+    });
+    appState.on(key, () => select.property("value", colorSchemes.classificationOf(key)));
+}
+
+// Render every chart once the shared data layer has loaded
+// (a geometry failure only disables the maps, not the other charts)
+dataLayer.load().then(data => {
+    const { states } = data;
+
+    // Population denominator of every percentage (appState.year, 2010 by default)
+    const populationYear = () => data.resolveYear(appState.get('year'));
+
+    const yearSelect = d3.select('#population-year-select');
+    yearSelect.selectAll('option')
+        .data(data.populationYears)
+        .join('option')
+        .attr('value', d => d.key)
+        .text(d => d.label);
+    yearSelect.property('value', populationYear());
+    yearSelect.on('change', function() {
+        appState.set('year', this.value === data.defaultYear ? null : this.value);
+    });
+    appState.on('year', () => yearSelect.property('value', populationYear()));
+
+    // Palette of every chart (categorical colors and map ramps, see colorSchemes.PALETTES)
+    const paletteSelect = d3.select('#palette-select');
+    paletteSelect.selectAll('option')
+        .data(Object.keys(colorSchemes.PALETTES))
+        .join('option')
+        .attr('value', d => d)
+        .text(d => colorSchemes.PALETTES[d].label);
+    paletteSelect.property('value', colorSchemes.PALETTES[appState.get('palette')] ? appState.get('palette') : 'default');
+    paletteSelect.on('change', function() {
+        appState.set('palette', this.value === 'default' ? null : this.value);
     });
 
-    // Convert TopoJSON to GeoJSON
-    const states = topojson.feature(us, us.objects.states).features;
-
-    // Compute number of distinct languages per state
-    const languageCountByState = new Map();
-    languageByState.forEach((arr, state) => {
-        const unique = new Set(arr.map(d => d.Language));
-        languageCountByState.set(state, unique.size);
+    // Vintages compared by the change views (see changeVintages); while a single vintage is loaded the controls are
+    // disabled, with a note saying why. Picking the vintage of the other end swaps the two, so that both ends never show the same one
+    const singleVintage = data.vintages.length < 2;
+    const noChangeText = `Only the ${data.vintages[0].label} survey is loaded: the change views need a second one (see the methodology)`;
+    d3.selectAll('.change-control select, select.change-control')
+        .property('disabled', singleVintage)
+        .attr('title', singleVintage ? noChangeText : null);
+    d3.select('#change-note').attr('hidden', singleVintage ? null : true).text(noChangeText);
+    const firstVintage = data.vintages[0].key, lastVintage = data.vintages[data.vintages.length - 1].key;
+    const changeEnds = {
+        from: { selector: '#change-from-select', key: 'changeFrom', fallback: firstVintage },
+        to: { selector: '#change-to-select', key: 'changeTo', fallback: lastVintage }
+    };
+    const setChangeEnd = (end, vintageKey) => appState.set(changeEnds[end].key, vintageKey === changeEnds[end].fallback ? null : vintageKey);
+    Object.entries(changeEnds).forEach(([end, { selector, key }]) => {
+        const other = end === 'from' ? 'to' : 'from';
+        const select = d3.select(selector);
+        select.selectAll('option')
+            .data(data.vintages)
+            .join('option')
+            .attr('value', d => d.key)
+            .text(d => d.label);
+        const current = () => changeVintages(data)[end].key;
+        select.property('value', current());
+        select.on('change', function() {
+            // read first: setting the other end resets the value of this select
+            const picked = this.value;
+            const vintages = changeVintages(data);
+            if (picked === vintages[other].key) setChangeEnd(other, vintages[end].key);
+            setChangeEnd(end, picked);
+        });
+        ['changeFrom', 'changeTo'].forEach(changed => appState.on(changed, () => select.property('value', current())));
     });
 
-    // Parse population data (use 2010 column and map by canonical state name)
-    const populationByState = new Map();
-    if (popData && popData.length) {
-        popData.forEach(r => {
-            // prefer 'Area' as state name and '2010' as population value
-            const rawName = r.Area || r.State || r.NAME || r.Name || r.Geography || r.GeographyName;
-            const rawPop = r['2010'] || r['2010 Population'] || r.Pop2010 || r.POP_2010 || r['2010 Population Estimate'] || r['2010_est'];
-            if (!rawName) return;
-            const name = canonicalStateName(rawName);
-            let p = null;
-            if (rawPop !== undefined) {
-                const s = String(rawPop).replace(/,/g, '').trim();
-                p = s === '' ? null : +s;
-            }
-            if (p != null && !isNaN(p)) populationByState.set(name, p);
+    // DC and Puerto Rico on every chart, or the 50 states only (appState.includeNonStates, unset = included).
+    // This is the first subscriber of the key, so the indexes are rebuilt before any chart redraws
+    const includeNonStates = () => appState.get('includeNonStates') !== false;
+    const nonStatesCheck = d3.select('#non-states-check')
+        .on('change', function() {
+            appState.set('includeNonStates', this.checked);
         });
+    function applyNonStates() {
+        data.setStatesOnly(!includeNonStates());
+        nonStatesCheck.property('checked', includeNonStates());
+        // a jurisdiction that left the charts cannot stay selected
+        if (!includeNonStates() && dataLayer.NON_STATES.includes(appState.get('state'))) appState.set('state', null);
     }
+    applyNonStates();
+    appState.on('includeNonStates', applyNonStates);
+
+    // Jurisdictions without survey data (Puerto Rico) cannot be selected, not even from a link.
+    // This is the first chart subscriber of the key, so no chart draws them as the selected state
+    function dropUnsurveyedState() {
+        const state = appState.get('state');
+        if (state && !data.hasSurveyData(state)) appState.set('state', null);
+    }
+    dropUnsurveyedState();
+    appState.on('state', dropUnsurveyedState);
 
-    // Compute nationwide population (sum of available state populations)
-    const nationwidePopulation = Array.from(populationByState.values()).reduce((a, b) => a + b, 0) || null;
-
-    // Helper: build language totals for nationwide or a specific state
-    function buildLanguageTotals(forState) {
-        const totals = new Map();
-        if (!forState) {
-            // nationwide: sum across all languageData
-            languageData.forEach(d => {
-                const lang = d.Language || 'Unknown';
-                const v = d.Speakers || 0;
-                totals.set(lang, (totals.get(lang) || 0) + v);
-            });
-            return { totals, population: nationwidePopulation };
-        }
-
-        const arr = languageByState.get(forState) || [];
-        arr.forEach(d => {
-            const lang = d.Language || 'Unknown';
-            const v = d.Speakers || 0;
-            totals.set(lang, (totals.get(lang) || 0) + v);
-        });
-        const population = populationByState.get(forState) || null;
-        return { totals, population };
+    if (data.geometryError) {
+        console.error(data.geometryError);
+        MAP_CONTAINERS.forEach(sel => showMapError(sel, data.geometryError.message));
     }
 
     // Setup pie chart containers and renderers
@@ -173,125 +416,323 @@ Promise.all([
             update => update
         );
 
-        // remove previous svg and create new
-        container.selectAll('svg').remove();
-        const svgEl = container
-            .append('svg')
-            .attr('viewBox', `0 0 ${pieWidth} ${pieHeight}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet');
-        const g = svgEl.append('g').attr('transform', `translate(${pieWidth/2},${pieHeight/2})`);
-        return { svgEl, g };
+        // the svg is created once; later renders update its slices
+        const svgEl = container.selectAll('svg').data([0]).join(enter => {
+            const svgNew = enter.append('svg')
+                .attr('viewBox', `0 0 ${pieWidth} ${pieHeight}`)
+                .attr('preserveAspectRatio', 'xMidYMid meet');
+            svgNew.append('g').attr('transform', `translate(${pieWidth/2},${pieHeight/2})`);
+            return svgNew;
+        });
+        return { svgEl, g: svgEl.select('g') };
     }
 
-    const color = d3.scaleOrdinal(d3.schemeCategory10);
+    // Categorical colors of the pies, bars and dots (the domain keeps its order when the palette changes)
+    const color = d3.scaleOrdinal(colorSchemes.currentPalette().categorical);
+    appState.on('palette', () => {
+        paletteSelect.property('value', colorSchemes.PALETTES[appState.get('palette')] ? appState.get('palette') : 'default');
+        color.range(colorSchemes.currentPalette().categorical);
+    });
+
+    // Slices currently drawn in each pie box (for the CSV export)
+    const pieSlices = new Map();
 
-    function renderPieInto(groupG, containerSelector, totals, popForPct, captionText, normalizeExcluding) {
-        // totals: Map lang->value
-        let items = Array.from(totals.entries()).map(([lang, val]) => ({ lang, val }));
+    function renderPieInto(groupG, containerSelector, totals, moes, popForPct, captionText, normalizeExcluding) {
+        // totals: Map lang->value, moes: Map lang->margin of error
+        let items = Array.from(totals.entries()).map(([lang, val]) => ({ lang, val, moe: moes.get(lang) || 0 }));
         items = items.filter(d => d.val && d.val > 0);
 
+        // Share of each slice; its MOE treats the population estimate as exact,
+        // and uses the proportion formula when renormalizing among the remaining speakers
+        let sharePct, shareMoe;
         if (normalizeExcluding && Array.isArray(normalizeExcluding)) {
             // remove excluded languages from items and renormalize relative to remaining sum
             items = items.filter(d => !normalizeExcluding.includes(d.lang));
             const sumRem = items.reduce((s,d)=>s+d.val,0) || 1;
-            items.forEach(d => d.pct = d.val / sumRem);
+            const sumRemMoe = dataLayer.combineMoe(items.map(d => d.moe));
+            sharePct = d => d.val / sumRem;
+            shareMoe = d => dataLayer.proportionMoe(d.val, d.moe, sumRem, sumRemMoe);
         } else {
-            items.forEach(d => d.pct = popForPct ? (d.val / popForPct) : 0);
+            sharePct = d => popForPct ? (d.val / popForPct) : 0;
+            shareMoe = d => popForPct ? (d.moe / popForPct) : null;
         }
+        items.forEach(d => d.pct = sharePct(d));
 
         // Aggregate items under 1% threshold (based on pct computed above)
         const major = items.filter(d => d.pct >= 0.01).sort((a,b)=>b.pct-a.pct);
         const minor = items.filter(d => d.pct < 0.01);
         const otherVal = minor.reduce((s,d)=>s+d.val,0);
         const otherPct = normalizeExcluding ? (otherVal / (items.reduce((s,d)=>s+d.val,0)||1)) : (otherVal / (popForPct||1));
-        if (otherVal > 0) major.push({ lang: 'Other (<1%)', val: otherVal, pct: otherPct });
+        if (otherVal > 0) major.push({ lang: 'Other (<1%)', val: otherVal, pct: otherPct, moe: dataLayer.combineMoe(minor.map(d => d.moe)) });
+        major.forEach(d => d.pctMoe = shareMoe(d));
+        pieSlices.set(containerSelector, major);
+
+        const sliceText = d => `${d.data.lang}: ${formatEstimate((d.data.pct||0)*100, d.data.pctMoe == null ? null : d.data.pctMoe*100, v => v.toFixed(2) + '%')}` +
+            ` — ${formatEstimate(d.data.val, d.data.moe)} speakers`;
 
         const pie = d3.pie().sort(null).value(d => d.val);
         const arcs = pie(major);
-
-        groupG.selectAll('.arc').remove();
         const arcGen = d3.arc().innerRadius(0).outerRadius(pieRadius);
-
-        const g = groupG.selectAll('.arc').data(arcs).enter().append('g').attr('class','arc');
-        g.append('path')
-            .attr('d', arcGen)
+        const t = groupG.transition().duration(transitionDuration());
+
+        // Slices are keyed by name: kept slices tween their angles, new ones open from their start angle
+        // and removed ones close (each path keeps its last angles in _current)
+        const arcTween = function(d) {
+            const interpolate = d3.interpolate(this._current, { startAngle: d.startAngle, endAngle: d.endAngle });
+            this._current = interpolate(1);
+            return v => arcGen(interpolate(v));
+        };
+        const g = groupG.selectAll('.arc').data(arcs, d => d.data.lang).join(
+            enter => {
+                const slice = enter.append('g').attr('class','arc');
+                slice.append('path')
+                    .each(function(d) { this._current = { startAngle: d.startAngle, endAngle: d.startAngle }; });
+                slice.append('title');
+                return slice;
+            },
+            update => update,
+            exit => exit.call(slice => slice.select('path').transition(t).attrTween('d', function() {
+                return arcTween.call(this, { startAngle: this._current.startAngle, endAngle: this._current.startAngle });
+            })).transition(t).remove()
+        );
+        g.select('path')
             .attr('fill', d => d.data.lang === 'Other (<1%)' ? '#cccccc' : color(d.data.lang))
             .on('mouseover', function(event, d) {
                 // show info in container's .pie-info
                 try {
                     const info = d3.select(containerSelector).select('.pie-info');
-                    info.text(`${d.data.lang}: ${((d.data.pct||0)*100).toFixed(2)}% (${d.data.val.toLocaleString()})`);
+                    info.text(sliceText(d));
                 } catch (e) {
                     // ignore
                 }
             })
             .on('mouseout', function() {
                 try { d3.select(containerSelector).select('.pie-info').text(''); } catch (e) {}
-            });
-        g.append('title').text(d => `${d.data.lang}: ${((d.data.pct||0)*100).toFixed(2)}% (${d.data.val.toLocaleString()})`);
-
-        groupG.selectAll('.label').remove();
-        groupG.append('g').attr('class','label').selectAll('text')
-            .data(arcs)
-            .enter().append('text')
-            .attr('transform', d => `translate(${arcGen.centroid(d)})`)
-            .attr('dy', '0.35em')
-            .attr('font-size', 9)
-            .attr('text-anchor', 'middle')
-            .text(d => d.data.lang === 'Other (<1%)' ? 'Other' : d.data.lang);
+            })
+            .transition(t)
+            .attrTween('d', arcTween);
+        g.select('title').text(sliceText);
+        g.select('path').attr('aria-label', sliceText);
+
+        groupG.selectAll('g.label').data([0]).join('g').attr('class','label').raise()
+            .selectAll('text')
+            .data(arcs, d => d.data.lang)
+            .join(
+                enter => enter.append('text')
+                    .attr('transform', d => `translate(${arcGen.centroid(d)})`)
+                    .attr('dy', '0.35em')
+                    .attr('font-size', 9)
+                    .attr('text-anchor', 'middle')
+                    .attr('opacity', 0),
+                update => update,
+                exit => exit.transition(t).attr('opacity', 0).remove()
+            )
+            .text(d => d.data.lang === 'Other (<1%)' ? 'Other' : d.data.lang)
+            .transition(t)
+            .attr('opacity', 1)
+            .attr('transform', d => `translate(${arcGen.centroid(d)})`);
 
         // caption
-        d3.select(containerSelector).selectAll('.pie-caption').remove();
-        d3.select(containerSelector).insert('div', ':first-child')
-            .attr('class','pie-caption')
-            .text(captionText + (popForPct ? ` | Population used: ${popForPct.toLocaleString()}` : ''));
+        d3.select(containerSelector).selectAll('.pie-caption').data([0]).join(
+            enter => enter.insert('div', ':first-child').attr('class','pie-caption')
+        )
+            .text(captionText + (popForPct ? ` | ${data.yearLabel(populationYear())} population: ${popForPct.toLocaleString()}` : ''));
     }
 
     function updatePieCharts(stateName) {
         const canonical = stateName ? canonicalStateName(stateName) : null;
-        const { totals, population } = buildLanguageTotals(canonical);
-        const popForPct = population || nationwidePopulation || Array.from(totals.values()).reduce((a,b)=>a+b,0);
+        // Slices are languages, subgroups or whole language families (appState.pieGroupBy)
+        const level = appState.get('pieGroupBy') || 'language';
+        const levelName = dataLayer.levelOf(level).label.toLowerCase();
+        const totals = data.totalsFor(canonical, level);
+        const year = populationYear();
+        // a state without a population row falls back on its own speakers, never on the nationwide population
+        const popForPct = (canonical ? data.populationOf(canonical, year) : data.populationOf(null, year)) || Array.from(totals.values()).reduce((a,b)=>a+b,0);
 
         // create svgs/groups if not existing
         const left = createPieSvg('#pie-with-eng');
         const right = createPieSvg('#pie-no-eng');
 
-        renderPieInto(left.g, '#pie-with-eng', totals, popForPct, (canonical ? `${canonical} — language shares (by 2010 population)` : 'Nationwide — language shares (by 2010 population)'), false);
+        renderPieInto(left.g, '#pie-with-eng', totals, data.moeFor(canonical, level), popForPct, `${canonical || 'Nationwide'} — ${levelName} shares (by ${data.yearLabel(year)} population)`, false);
 
-        // For the right chart exclude English and renormalize among remaining languages
-        renderPieInto(right.g, '#pie-no-eng', totals, popForPct, (canonical ? `${canonical} — excluding English (shares among non-English)` : 'Nationwide — excluding English (shares among non-English)'), ['English']);
+        // For the right chart drop English speakers before aggregating and renormalize among the rest
+        const nonEnglishRows = data.rowsFor(canonical).filter(d => d.Language !== 'English');
+        const nonEnglishTotals = dataLayer.aggregate(nonEnglishRows, level);
+        renderPieInto(right.g, '#pie-no-eng', nonEnglishTotals, dataLayer.aggregateMoe(nonEnglishRows, level), popForPct, `${canonical || 'Nationwide'} — excluding English (shares among non-English)`, []);
     }
 
-    // Populate the pie-state dropdown (independent from map clicks)
-    const stateSet = new Set([...populationByState.keys(), ...languageByState.keys()]);
-    stateSet.delete('Unknown');
-    const stateList = Array.from(stateSet).sort((a,b)=>a.localeCompare(b));
-
+    // Populate the pie-state dropdown (kept in sync with the selected state and with the states on the charts)
     const select = d3.select('#pie-state-select');
-    select.selectAll('option.state-option').data(stateList).join(
-        enter => enter.append('option')
-            .classed('state-option', true)
-            .attr('value', d => d)
-            .text(d => d)
-    );
+    function renderStateOptions() {
+        select.selectAll('option.state-option').data(data.stateList, d => d).join(
+            enter => enter.append('option')
+                .classed('state-option', true)
+                .attr('value', d => d)
+                .text(d => d)
+        ).order();
+        select.property('value', appState.get('state') || '');
+    }
+    renderStateOptions();
 
     select.on('change', function() {
-        const val = this.value || null; // '' -> null means nationwide
-        updatePieCharts(val);
+        appState.set('state', this.value || null); // '' -> null means nationwide
     });
 
-    // Initial pie: nationwide
-    updatePieCharts(null);
+    appState.on('state', state => {
+        select.property('value', state || '');
+        updatePieCharts(state);
+    });
 
-    const counts = Array.from(languageCountByState.values());
-    const minCount = counts.length ? d3.min(counts) : 0;
-    const maxCount = counts.length ? d3.max(counts) : 1;
+    const pieGroupSelect = d3.select('#pie-group-select');
+    pieGroupSelect.property('value', appState.get('pieGroupBy') || 'language');
+    pieGroupSelect.on('change', function() {
+        appState.set('pieGroupBy', this.value === 'language' ? null : this.value);
+    });
+    appState.on('pieGroupBy', level => {
+        pieGroupSelect.property('value', level || 'language');
+        updatePieCharts(appState.get('state'));
+    });
+    appState.on('year', () => updatePieCharts(appState.get('state')));
+    appState.on('includeNonStates', () => {
+        renderStateOptions();
+        updatePieCharts(appState.get('state'));
+    });
+    appState.on('palette', () => updatePieCharts(appState.get('state')));
+
+    // Initial pie: selected state (nationwide by default)
+    select.property('value', appState.get('state') || '');
+    updatePieCharts(appState.get('state'));
+
+    const pieRows = containerSelector => () => (pieSlices.get(containerSelector) || []).map(d => ({
+        Slice: d.lang,
+        Speakers: d.val,
+        "Speakers MOE": d.moe,
+        "Share (%)": (d.pct || 0) * 100,
+        "Share MOE (pp)": d.pctMoe == null ? "" : d.pctMoe * 100
+    }));
+    chartExport.register({ container: '#pie-with-eng', anchor: '#pie-with-eng .pie-info', name: 'pie-all-languages', rows: pieRows('#pie-with-eng') });
+    chartExport.register({ container: '#pie-no-eng', anchor: '#pie-no-eng .pie-info', name: 'pie-without-english', rows: pieRows('#pie-no-eng') });
+    const pieSubject = () => appState.get('state') || 'the United States';
+    chartA11y.register({ container: '#pie-with-eng', title: () => `Languages spoken in ${pieSubject()}`, marks: '.arc path', markName: 'slices', navigation: 'list' });
+    chartA11y.register({ container: '#pie-no-eng', title: () => `Languages other than English spoken in ${pieSubject()}`, marks: '.arc path', markName: 'slices', navigation: 'list' });
+
+    // Metrics the main map can color states by (appState.mapMetric, distinct languages by default);
+    // their values come from stateMetrics, for the population year of the page
+    const metricValue = key => state => stateMetrics.METRICS[key].value(data, state, populationYear());
+    const metricMoe = key => state => stateMetrics.METRICS[key].moe(data, state, populationYear());
+    const MAP_METRICS = {
+        languages: {
+            label: 'Number of distinct languages',
+            title: 'Map representing the amount of languages spoken by state',
+            tickFormat: d3.format('~s'),
+            format: v => v.toLocaleString() + ' languages',
+            value: metricValue('languages')
+        },
+        nonEnglish: {
+            label: 'Share speaking a language other than English',
+            title: () => `Speakers of a language other than English (% of ${data.yearLabel(populationYear())} population)`,
+            tickFormat: d3.format('.0f'),
+            format: v => v.toFixed(2) + '%',
+            value: metricValue('nonEnglish'),
+            moe: metricMoe('nonEnglish')
+        },
+        shannon: {
+            label: 'Diversity of the language mix (Shannon index)',
+            title: 'Shannon diversity index of the language mix (0 = a single language)',
+            tickFormat: d3.format('.2f'),
+            format: v => v.toFixed(3),
+            value: metricValue('shannon')
+        },
+        simpson: {
+            label: 'Diversity of the language mix (Simpson index)',
+            title: 'Simpson index: chance that two residents speak different languages',
+            tickFormat: d3.format('.2f'),
+            format: v => v.toFixed(3),
+            value: metricValue('simpson')
+        },
+        limitedEnglish: {
+            label: 'Share speaking English less than "very well"',
+            title: () => `Speak English less than "very well" (% of ${data.yearLabel(populationYear())} population)`,
+            tickFormat: d3.format('.0f'),
+            format: v => v.toFixed(2) + '%',
+            value: metricValue('limitedEnglish'),
+            moe: metricMoe('limitedEnglish')
+        }
+    };
 
-    const colorScale = d3.scaleLinear()
-        .domain([minCount, maxCount])
-        .range(["#deebf7", "#08306b"]);
+    function currentMapMetric() {
+        const key = appState.get('mapMetric');
+        return MAP_METRICS[key] ? key : 'languages';
+    }
 
-    // Create tooltip for main map (state name)
+    // In change mode (appState.mapMode) the map shows the change in speakers of a language other than
+    // English between the two compared vintages, in % of the first one, instead of the metric
+    const nonEnglishEstimates = indexes => {
+        const rows = indexes.rows.filter(d => d.Language !== 'English');
+        return [
+            d3.rollup(rows, v => d3.sum(v, d => d.Speakers || 0), d => d.state),
+            d3.rollup(rows, v => dataLayer.combineMoe(v.map(d => d.speakersMoe)), d => d.state)
+        ];
+    };
+    const mapChangeMode = () => inChangeMode(data, 'mapMode');
+
+    // Value of the current metric (or % change) for every state, and its color scale
+    // (classified as chosen in #map-classes-select, appState.mapClasses; diverging around no change in change mode)
+    let metricByState = new Map();
+    let mapChanges = null;
+    let mapScheme = null;
+
+    function computeMapMetric() {
+        metricByState = new Map();
+        if (mapChangeMode()) {
+            mapChanges = vintageChange(data, nonEnglishEstimates, true);
+            mapChanges.forEach((c, state) => { if (c.pctChange != null) metricByState.set(state, c.pctChange); });
+            mapScheme = colorSchemes.diverging(Array.from(metricByState.values()), colorSchemes.currentPalette().diverging);
+            return;
+        }
+        mapChanges = null;
+        const metric = MAP_METRICS[currentMapMetric()];
+        data.stateList.forEach(state => {
+            const v = metric.value(state);
+            if (v != null && !isNaN(v)) metricByState.set(state, v);
+        });
+        mapScheme = colorSchemes.classify(Array.from(metricByState.values()), colorSchemes.classificationOf('mapClasses'),
+            colorSchemes.currentPalette().sequential.main);
+    }
+
+    computeMapMetric();
+
+    function mapFill(d) {
+        const v = metricByState.get(featureState(d));
+        return v != null ? mapScheme.color(v) : "#f0f0f0";
+    }
+
+    // Metric of a state with its margin of error ({ value, moe }), for metrics estimated from the survey
+    // (the change in speakers in change mode)
+    function mapEstimate(state) {
+        if (mapChanges) return mapChanges.has(state) ? { value: mapChanges.get(state).change, moe: mapChanges.get(state).moe } : null;
+        const metric = MAP_METRICS[currentMapMetric()];
+        const v = metricByState.get(state);
+        return v != null && metric.moe ? { value: v, moe: metric.moe(state) } : null;
+    }
+
+    // "State: value (90% CI ...)" for the tooltip and the aria-label of a state
+    function mapValueText(stateName) {
+        if (mapChanges) {
+            if (!surveyedInChange(data, stateName)) return `${stateName}: not surveyed in both vintages`;
+            const c = mapChanges.get(stateName);
+            if (!c) return `${stateName}: not listed in either vintage`;
+            return `${stateName}: ${formatChange(c)} speakers of a language other than English` + (c.significant ? '' : ' (within the margin of error)');
+        }
+        if (!data.hasSurveyData(stateName)) return `${stateName}: no survey data`;
+        const metric = MAP_METRICS[currentMapMetric()];
+        const estimate = mapEstimate(stateName);
+        const v = metricByState.get(stateName);
+        const valueText = estimate ? formatEstimate(estimate.value, estimate.moe, metric.format) : (v != null ? metric.format(v) : null);
+        return valueText ? `${stateName}: ${valueText}` : stateName;
+    }
+
+    // Create tooltip for main map (state name and metric value, with its confidence interval)
     const mapTooltip = d3.select("body").append("div")
         .style("position", "absolute")
         .style("padding", "6px 10px")
@@ -303,233 +744,679 @@ Promise.all([
         .style("font-family", "'Fira Sans', sans-serif")
         .style("opacity", 0);
 
-    // Draw states with color based on language counts
-    svg.selectAll("path")
-        .data(states)
-        .join("path")
-        .attr("d", path)
-        .attr("fill", function(d) {
-            const name = canonicalStateName(getStateName(d));
-            const count = languageCountByState.get(name) || 0;
-            return count > 0 ? colorScale(count) : "#f0f0f0";
-        })
-        .attr("stroke", "#999")
-        .attr("stroke-width", 0.75)
-        .style("cursor", "pointer")
-        .on("mouseenter", function(event, d) {
-            const stateName = canonicalStateName(getStateName(d));
-            mapTooltip.style("opacity", 1).text(stateName);
-            d3.select(this)
-                .attr("stroke", "#333")
-                .attr("stroke-width", 2);
-        })
-        .on("mousemove", function(event) {
-            mapTooltip
-                .style("left", (event.pageX + 10) + "px")
-                .style("top", (event.pageY - 28) + "px");
-        })
-        .on("mouseleave", function(event, d) {
-            const stateName = canonicalStateName(getStateName(d));
-            const isSelected = d3.select("#selected-state").text() === stateName;
-            mapTooltip.style("opacity", 0);
-            d3.select(this)
-                .attr("stroke", "#999")
-                .attr("stroke-width", isSelected ? 2 : 0.75);
-        })
-        .on("click", function(event, d) {
-            const rawName = getStateName(d);
-            const stateName = canonicalStateName(rawName);
-            displayLanguages(stateName, languageByState);
-
-            // Highlight selected state with a stronger stroke
-            svg.selectAll("path")
-                .attr("stroke", "#999")
-                .attr("stroke-width", 0.75);
-
-            d3.select(this)
-                .attr("stroke", "#000")
-                .attr("stroke-width", 2);
-        });
-
-    // Add legend: title + gradient scale
-    (function addLegend() {
-        // Guard against degenerate domain
-        let legendMin = minCount;
-        let legendMax = maxCount;
-        if (legendMin === legendMax) {
-            legendMin = 0;
-            legendMax = legendMax || 1;
-        }
+    const metricSelect = d3.select('#map-metric-select');
+    metricSelect.selectAll('option')
+        .data(Object.keys(MAP_METRICS))
+        .join('option')
+        .attr('value', d => d)
+        .text(d => MAP_METRICS[d].label);
+    metricSelect.property('value', currentMapMetric());
+    metricSelect.on('change', function() {
+        appState.set('mapMetric', this.value === 'languages' ? null : this.value);
+    });
 
-        const legendWidth = 180;
-        const legendHeight = 12;
-        const legendX = width - legendWidth - 20;
-        const legendY = 20;
+    if (states.length) {
+        const path = compositeStatePath(states, width / 2, height / 2, 800);
+        drawMapInsets(svg, path);
+
+        // Draw states with color based on the chosen metric
+        svg.selectAll("path.state")
+            .data(states)
+            .join("path")
+            .attr("class", "state")
+            .attr("d", path)
+            .attr("fill", mapFill)
+            .attr("stroke", "#999")
+            .attr("stroke-width", 0.75)
+            .style("cursor", "pointer")
+            .on("mouseenter", function(event, d) {
+                const stateName = featureState(d);
+                const comparison = comparisonText(stateName, mapEstimate);
+                mapTooltip.style("opacity", 1)
+                    .html(mapValueText(stateName) + (comparison ? `<br/>${comparison}` : ""));
+                d3.select(this)
+                    .attr("stroke", "#333")
+                    .attr("stroke-width", 2);
+            })
+            .on("mousemove", function(event) {
+                positionTooltip(mapTooltip, event, 10, -28);
+            })
+            .on("mouseleave", function() {
+                // the selected state keeps its outline through the .state-selected class
+                mapTooltip.style("opacity", 0);
+                d3.select(this)
+                    .attr("stroke", "#999")
+                    .attr("stroke-width", 0.75);
+            })
+            .on("click", function(event, d) {
+                selectMapState(data, d);
+            });
 
-        const defs = svg.append('defs');
-        const lg = defs.append('linearGradient').attr('id', 'legend-gradient');
-        lg.append('stop').attr('offset', '0%').attr('stop-color', colorScale(minCount));
-        lg.append('stop').attr('offset', '100%').attr('stop-color', colorScale(maxCount));
+        markNoSurveyData(svg.selectAll("path.state"), data);
+        highlightSelectedState(svg.selectAll("path.state"));
+        appState.on("state", () => highlightSelectedState(svg.selectAll("path.state")));
+        scopeMapJurisdictions(svg);
+
+        // Add legend: title + gradient or stepped scale (rebuilt whenever the metric or its classes change)
+        function addLegend() {
+            const metric = MAP_METRICS[currentMapMetric()];
+
+            const legendWidth = 180;
+            const legendHeight = 12;
+            const legendX = width - legendWidth - 20;
+            const legendY = 20;
+
+            svg.selectAll('.legend').remove();
+
+            const legendGroup = svg.append('g')
+                .attr('class', 'legend')
+                .attr('transform', `translate(${legendX},${legendY})`);
+
+            legendGroup.append('text')
+                .attr('x', legendWidth)
+                .attr('y', -8)
+                .attr('text-anchor', 'end')
+                .attr('font-size', 12)
+                .attr('font-family', 'Fira Sans, sans-serif')
+                .text(mapChanges ? `Change in speakers of a language other than English (%), ${changeVintages(data).label}`
+                    : (typeof metric.title === 'function' ? metric.title() : metric.title));
+
+            colorSchemes.drawLegendBar(legendGroup.append('g'), mapScheme, {
+                width: legendWidth,
+                height: legendHeight,
+                tickFormat: mapChanges ? d3.format('+.0f') : metric.tickFormat,
+                gradientId: 'legend-gradient'
+            });
+        }
 
-        const legendGroup = svg.append('g')
-            .attr('class', 'legend')
-            .attr('transform', `translate(${legendX},${legendY})`);
+        addLegend();
+
+        chartExport.register({
+            container: '#map-container',
+            anchor: '.map-and-list',
+            name: 'languages-by-state-map',
+            rows: () => {
+                if (mapChanges) return Array.from(mapChanges, ([state, c]) => Object.assign({ State: state }, changeColumns(data, c)));
+                const metric = MAP_METRICS[currentMapMetric()];
+                return Array.from(metricByState, ([state, value]) => ({
+                    State: state,
+                    Metric: metric.label,
+                    Value: value,
+                    MOE: metric.moe ? metric.moe(state) : ""
+                }));
+            }
+        });
+        chartA11y.register({
+            container: '#map-container',
+            title: () => mapChanges ? `Map of the change in speakers of a language other than English, ${changeVintages(data).label}`
+                : `Map of the states: ${MAP_METRICS[currentMapMetric()].label}`,
+            marks: 'path.state',
+            markName: 'states',
+            label: d => mapValueText(featureState(d)) + (featureState(d) === appState.get('state') ? ', selected' : ''),
+            selectable: true
+        });
 
-        legendGroup.append('text')
-            .attr('x', -150)
-            .attr('y', -8)
-            .attr('font-size', 12)
-            .attr('font-family', 'Fira Sans, sans-serif')
-            .text('Map representing the amount of languages spoken by state');
+        function updateMapMetric() {
+            metricSelect.property('value', currentMapMetric()).property('disabled', mapChangeMode());
+            mapModeSelect.property('value', mapChangeMode() ? 'change' : 'metric');
+            computeMapMetric();
+            svg.selectAll("path.state")
+                .transition()
+                .duration(transitionDuration())
+                .attr("fill", mapFill);
+            addLegend();
+        }
 
-        legendGroup.append('rect')
-            .attr('x', 0)
-            .attr('y', 0)
-            .attr('width', legendWidth)
-            .attr('height', legendHeight)
-            .attr('fill', 'url(#legend-gradient)')
-            .attr('stroke', '#ccc');
-
-        const legendScale = d3.scaleLinear()
-            .domain([legendMin, legendMax])
-            .range([0, legendWidth]);
-
-        const legendAxis = d3.axisBottom(legendScale)
-            .ticks(4)
-            .tickFormat(d3.format("~s"));
-
-        legendGroup.append('g')
-            .attr('transform', `translate(0,${legendHeight})`)
-            .call(legendAxis)
-            .selectAll('text')
-            .attr('font-size', 10)
-            .attr('font-family', 'Fira Sans, sans-serif');
-    })();
+        const mapModeSelect = d3.select('#map-mode-select')
+            .on('change', function() {
+                appState.set('mapMode', this.value === 'change' ? 'change' : null);
+            })
+            .property('value', mapChangeMode() ? 'change' : 'metric');
+        metricSelect.property('disabled', mapChangeMode());
+
+        bindClassificationSelect('#map-classes-select', 'mapClasses');
+        appState.on('mapMetric', updateMapMetric);
+        appState.on('mapMode', updateMapMetric);
+        appState.on('changeFrom', updateMapMetric);
+        appState.on('changeTo', updateMapMetric);
+        appState.on('mapClasses', updateMapMetric);
+        appState.on('palette', updateMapMetric);
+        appState.on('year', updateMapMetric);
+        appState.on('includeNonStates', () => {
+            scopeMapJurisdictions(svg);
+            updateMapMetric();
+        });
+    }
 
     // --- Bar chart: top 15 languages by total speakers (with exclude options) ---
-    function renderBarChart(excludeSet = new Set()) {
-        try {
-            // compute totals nationwide
-            const totals = new Map();
-            languageData.forEach(d => {
-                const lang = d.Language || 'Unknown';
-                const v = d.Speakers || 0;
-                totals.set(lang, (totals.get(lang) || 0) + v);
-            });
-
-            const allItems = Array.from(totals.entries())
-                .map(([lang, total]) => ({ lang, total }))
-                .filter(d => d.total > 0)
-                .sort((a,b) => b.total - a.total);
+    // In change mode (appState.barMode) the bars show the 15 largest changes between two vintages instead.
+    // Bars currently drawn (for the CSV export): { lang, value, moe, change } where change is the
+    // dataLayer.changeBetween entry in change mode (value is then the change), null otherwise
+    let barItems = [];
+    let barChangeMode = false;
 
-            // Filter out excluded languages and take top 15 of the remaining
-            const items = allItems
-                .filter(d => !excludeSet.has(d.lang))
-                .slice(0, 15);
+    function renderBarChart(excludeSet = new Set(), level = 'language', changeMode = false) {
+        try {
+            // Filter out excluded languages and aggregate on the chosen level, in the indexes of a vintage
+            // (a change only counts the states surveyed in both vintages)
+            const estimatesOf = indexes => {
+                if (!excludeSet.size && !changeMode) return [indexes.totalsFor(null, level), indexes.moeFor(null, level)];
+                const rows = indexes.rows.filter(d => !excludeSet.has(d.Language) && (!changeMode || surveyedInChange(data, d.state)));
+                return [dataLayer.aggregate(rows, level), dataLayer.aggregateMoe(rows, level)];
+            };
+            let items;
+            if (changeMode) {
+                // the 15 largest changes either way, from the largest gain down to the largest loss
+                items = Array.from(vintageChange(data, estimatesOf), ([lang, change]) => ({ lang, value: change.change, moe: change.moe, change }))
+                    .filter(d => d.change.from > 0 || d.change.to > 0)
+                    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+                    .slice(0, 15)
+                    .sort((a, b) => b.value - a.value);
+            } else {
+                const [totals, moes] = estimatesOf(data);
+                items = Array.from(totals.entries())
+                    .map(([lang, total]) => ({ lang, value: total, moe: moes.get(lang) || 0, change: null }))
+                    .filter(d => d.value > 0)
+                    .sort((a,b) => b.value - a.value)
+                    .slice(0, 15);
+            }
+            barItems = items;
+            barChangeMode = changeMode;
 
-            const w = 920, h = 480, margin = {top: 20, right: 20, bottom: 50, left: 220};
+            // As wide as its container; narrow screens get a smaller margin for the names
+            const w = Math.max(320, chartWidth('#bar-container', 920)), h = 480;
+            const narrow = w < 600;
+            const margin = {top: 20, right: narrow ? 50 : 20, bottom: 50, left: narrow ? 130 : 220};
             const innerW = w - margin.left - margin.right;
             const innerH = h - margin.top - margin.bottom;
+            const maxName = narrow ? 18 : 32;
+
+            // The svg and its axes are created on the first render; later renders transition them
+            const svgBar = d3.select('#bar-container').selectAll('svg').data([0]).join(enter => {
+                const svgNew = enter.append('svg')
+                    .attr('preserveAspectRatio', 'xMidYMid meet')
+                    .attr('width', '100%')
+                    .attr('height', '100%');
+                const gNew = svgNew.append('g').attr('class', 'bar-plot');
+                gNew.append('g').attr('class', 'bar-y-axis');
+                gNew.append('g').attr('class', 'bar-x-axis').attr('transform', `translate(0,${innerH})`)
+                    .append('text')
+                    .attr('y', 40)
+                    .attr('fill', '#000')
+                    .attr('text-anchor', 'middle')
+                    .text('Total speakers');
+                return svgNew;
+            });
 
-            d3.select('#bar-container').selectAll('svg').remove();
-            const svgBar = d3.select('#bar-container')
-                .append('svg')
-                .attr('viewBox', `0 0 ${w} ${h}`)
-                .attr('preserveAspectRatio', 'xMidYMid meet')
-                .attr('width', '100%')
-                .attr('height', '100%');
+            const g = svgBar.select('.bar-plot');
+            const t = svgBar.transition().duration(transitionDuration());
+
+            // Width and margins follow the container (set at once: a resize is not animated)
+            svgBar.attr('viewBox', `0 0 ${w} ${h}`);
+            g.attr('transform', `translate(${margin.left},${margin.top})`);
+            svgBar.select('.bar-x-axis text').attr('x', innerW / 2);
 
-            const g = svgBar.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+            svgBar.select('.bar-x-axis text').text(changeMode ? `Change in speakers, ${changeVintages(data).label}` : 'Total speakers');
 
-            const x = d3.scaleLinear().domain([0, d3.max(items, d => d.total) || 1]).range([0, innerW]).nice();
+            // changes can be negative: the bars then run left from zero
+            const x = d3.scaleLinear()
+                .domain([Math.min(0, d3.min(items, d => d.value - d.moe) || 0), d3.max(items, d => d.value + d.moe) || 1])
+                .range([0, innerW])
+                .nice();
             const y = d3.scaleBand().domain(items.map(d => d.lang)).range([0, innerH]).padding(0.12);
 
             const xAxis = d3.axisBottom(x).ticks(6).tickFormat(d3.format('~s'));
-            const yAxis = d3.axisLeft(y).tickSize(0);
-
-            g.append('g').call(yAxis).selectAll('text').attr('font-size', 12).attr('font-family', 'Fira Sans, sans-serif');
-
-            g.append('g').attr('transform', `translate(0,${innerH})`).call(xAxis)
-                .append('text')
-                .attr('x', innerW/2)
-                .attr('y', 40)
-                .attr('fill', '#000')
-                .attr('text-anchor', 'middle')
-                .text('Total speakers');
-
-            const bars = g.selectAll('.bar').data(items).enter().append('g').attr('class','bar');
-
-            bars.append('rect')
-                .attr('x', 0)
+            // Subgroup names can be long ("Chinese (incl. Cantonese, ...)"): truncate, full name in the title
+            const yAxis = d3.axisLeft(y).tickSize(0).tickFormat(d => d.length > maxName ? d.slice(0, maxName - 1) + '…' : d);
+
+            g.select('.bar-y-axis').transition(t).call(yAxis);
+            g.select('.bar-y-axis').selectAll('.tick text')
+                .attr('font-size', 12)
+                .attr('font-family', 'Fira Sans, sans-serif')
+                .selectAll('title').data(d => [d]).join('title').text(d => d);
+
+            g.select('.bar-x-axis').transition(t).call(xAxis);
+
+            // Bars are keyed by name: kept bars slide and rescale, new ones grow from the axis, removed ones fade out
+            const bars = g.selectAll('.bar').data(items, d => d.lang).join(
+                enter => {
+                    const bar = enter.append('g').attr('class','bar').attr('opacity', 0);
+                    bar.append('rect')
+                        .attr('x', x(0))
+                        .attr('y', d => y(d.lang))
+                        .attr('height', y.bandwidth())
+                        .attr('width', 0);
+                    const errorBar = bar.append('g')
+                        .attr('class', 'bar-error')
+                        .attr('stroke', '#333')
+                        .attr('stroke-width', 1.2)
+                        .style('pointer-events', 'none');
+                    errorBar.append('line').attr('class', 'whisker');
+                    bar.append('text')
+                        .attr('class','bar-label')
+                        .attr('x', x(0))
+                        .attr('y', d => y(d.lang) + y.bandwidth()/2 + 4);
+                    return bar;
+                },
+                update => update,
+                exit => exit.transition(t).attr('opacity', 0).remove()
+            );
+            bars.transition(t).attr('opacity', 1);
+
+            // gains and losses take the two ends of the diverging ramp
+            const diverging = colorSchemes.currentPalette().diverging;
+            bars.select('rect')
+                .attr('fill', d => d.change ? diverging(d.value < 0 ? 0.15 : 0.85) : color(d.lang))
+                .on('mouseover', (event, d) => showTooltip(event, `<strong>${d.lang}</strong><br/>` + barFigures(d).join('<br/>')))
+                .on('mousemove', moveTooltip)
+                .on('mouseout', hideTooltip)
+                .transition(t)
+                .attr('x', d => x(Math.min(0, d.value)))
                 .attr('y', d => y(d.lang))
-                .attr('height', d => y.bandwidth())
-                .attr('width', d => x(d.total))
-                .attr('fill', d => color(d.lang))
-                .on('mouseover', function(event, d) {
-                    const tooltip = d3.select('body').selectAll('.dot-tooltip').data([0]).join(
-                        enter => enter.append('div').attr('class','dot-tooltip'),
-                        update => update
-                    );
-                    tooltip.style('display','block').html(`<strong>${d.lang}</strong><br/>Speakers: ${d.total.toLocaleString()}`);
-                })
-                .on('mousemove', function(event) { d3.select('.dot-tooltip').style('left', (event.pageX+10)+'px').style('top', (event.pageY+10)+'px'); })
-                .on('mouseout', function() { d3.select('.dot-tooltip').style('display','none'); });
-
-            bars.append('text')
-                .attr('class','bar-label')
-                .attr('x', d => x(d.total) + 6)
-                .attr('y', d => y(d.lang) + y.bandwidth()/2 + 4)
-                .text(d => d.total.toLocaleString());
+                .attr('height', y.bandwidth())
+                .attr('width', d => Math.abs(x(d.value) - x(0)));
+
+            // Error bars: confidence interval of each total (MOEs combined by root-sum-of-squares);
+            // a change can be negative, so its interval is not clipped at zero
+            const errorBars = bars.select('.bar-error');
+            const interval = d => d.change ? [d.value - d.moe, d.value + d.moe] : dataLayer.confidenceInterval(d.value, d.moe);
+            const midY = d => y(d.lang) + y.bandwidth() / 2;
+            errorBars.select('line.whisker')
+                .transition(t)
+                .attr('x1', d => x(interval(d)[0]))
+                .attr('x2', d => x(interval(d)[1]))
+                .attr('y1', midY)
+                .attr('y2', midY);
+            errorBars.selectAll('line.cap')
+                .data(d => interval(d).map(v => ({ v, y: midY(d) })))
+                .join('line')
+                .attr('class', 'cap')
+                .transition(t)
+                .attr('x1', c => x(c.v))
+                .attr('x2', c => x(c.v))
+                .attr('y1', c => c.y - y.bandwidth() / 4)
+                .attr('y2', c => c.y + y.bandwidth() / 4);
+
+            // labels sit right of the whisker, or right of zero for a loss
+            bars.select('.bar-label')
+                .text(d => d.change
+                    ? `${d3.format('+,.0f')(d.value)}` + (d.change.pctChange != null ? ` (${d3.format('+.1f')(d.change.pctChange)}%)` : '')
+                    : d.value.toLocaleString())
+                .transition(t)
+                .attr('x', d => Math.max(x(0), x(d.value + d.moe)) + 6)
+                .attr('y', d => y(d.lang) + y.bandwidth()/2 + 4);
 
         } catch (err) {
             console.error('Error rendering bar chart:', err);
         }
     }
 
+    // Tooltip and aria-label lines of a bar
+    function barFigures(d) {
+        if (!d.change) return [`Speakers: ${formatEstimate(d.value, d.moe)}`];
+        return [
+            `${changeVintages(data).from.label}: ${formatEstimate(d.change.from, d.change.fromMoe)}`,
+            `${changeVintages(data).to.label}: ${formatEstimate(d.change.to, d.change.toMoe)}`,
+            `Change: ${formatChange(d.change)}` + (d.change.significant ? '' : ' (within the margin of error)')
+        ];
+    }
+
     // Initial bar chart render
-    renderBarChart(new Set());
+    // Checkbox states live in appState (barEnglish / barSpanish, unset = included)
+    function updateBarChart() {
+        const includeEnglish = appState.get('barEnglish') !== false;
+        const includeSpanish = appState.get('barSpanish') !== false;
+        d3.select('#bar-english-check').property('checked', includeEnglish);
+        d3.select('#bar-spanish-check').property('checked', includeSpanish);
+
+        const exclude = new Set();
+        if (!includeEnglish) exclude.add('English');
+        if (!includeSpanish) exclude.add('Spanish');
+
+        const level = appState.get('barGroupBy') || 'language';
+        d3.select('#bar-group-select').property('value', level);
+        const changeMode = inChangeMode(data, 'barMode');
+        d3.select('#bar-mode-select').property('value', changeMode ? 'change' : 'total');
+        renderBarChart(exclude, level, changeMode);
+    }
+
+    updateBarChart();
+
+    chartExport.register({
+        container: '#bar-container',
+        name: 'top-languages',
+        rows: () => barItems.map(d => {
+            if (d.change) return Object.assign({ Name: d.lang }, changeColumns(data, d.change));
+            const [low, high] = dataLayer.confidenceInterval(d.value, d.moe);
+            return { Name: d.lang, Speakers: d.value, MOE: d.moe, "CI low": low, "CI high": high };
+        })
+    });
+    chartA11y.register({
+        container: '#bar-container',
+        title: () => barChangeMode ? `Top 15 changes in speakers, ${changeVintages(data).label}` : 'Top 15 languages by number of speakers',
+        marks: '.bar rect',
+        markName: 'bars',
+        label: d => `${d.lang}: ` + barFigures(d).join(', '),
+        navigation: 'list'
+    });
 
     // Attach checkbox handlers to rerender bar chart
     d3.select('#bar-english-check').on('change', function() {
-        const exclude = new Set();
-        if (!d3.select('#bar-english-check').property('checked')) exclude.add('English');
-        if (!d3.select('#bar-spanish-check').property('checked')) exclude.add('Spanish');
-        renderBarChart(exclude);
+        appState.set('barEnglish', this.checked);
     });
 
     d3.select('#bar-spanish-check').on('change', function() {
-        const exclude = new Set();
-        if (!d3.select('#bar-english-check').property('checked')) exclude.add('English');
-        if (!d3.select('#bar-spanish-check').property('checked')) exclude.add('Spanish');
-        renderBarChart(exclude);
+        appState.set('barSpanish', this.checked);
     });
 
+    d3.select('#bar-group-select').on('change', function() {
+        appState.set('barGroupBy', this.value === 'language' ? null : this.value);
+    });
+
+    d3.select('#bar-mode-select').on('change', function() {
+        appState.set('barMode', this.value === 'change' ? 'change' : null);
+    });
+
+    appState.on('barEnglish', updateBarChart);
+    appState.on('barSpanish', updateBarChart);
+    appState.on('barGroupBy', updateBarChart);
+    appState.on('barMode', updateBarChart);
+    appState.on('changeFrom', updateBarChart);
+    appState.on('changeTo', updateBarChart);
+    appState.on('palette', updateBarChart);
+    appState.on('includeNonStates', updateBarChart);
+    onContainerResize('#bar-container', updateBarChart);
+
     // --- Dot chart: states-count vs total speakers ---
     (function renderDotChart() {
         try {
             console.log('Rendering dot chart...');
         // Store data globally for filtering
         let dotChartData = null;
-        
-        function drawDotChart(highlightedLang = null) {
-            // Compute totals per language (nationwide)
-        const totals = new Map();
-        // total speakers per language
-        languageData.forEach(d => {
-            const lang = d.Language || 'Unknown';
-            const v = d.Speakers || 0;
-            totals.set(lang, (totals.get(lang) || 0) + v);
-        });
 
-        // count number of states where each language appears
-        const statesCount = new Map();
-        languageByState.forEach((arr, state) => {
-            const langs = new Set(arr.map(d => d.Language));
-            langs.forEach(l => statesCount.set(l, (statesCount.get(l) || 0) + 1));
-        });
+        // Total speakers per language (nationwide) and number of states where it appears
+        // (read again when DC and Puerto Rico enter or leave the charts)
+        let totals, totalsMoe, statesCount;
+        function readDotTotals() {
+            totals = data.languageTotals;
+            totalsMoe = data.moeFor(null, 'language');
+            statesCount = data.stateCountByLanguage;
+        }
+        readDotTotals();
+
+        // English and Spanish dwarf every other language: they can only come back on a log scale
+        const MAJOR_LANGUAGES = new Set(['English', 'Spanish']);
+
+        // Y scales of the chart (appState.dotScale, linear by default)
+        const DOT_SCALES = {
+            linear: { label: 'Linear', scale: () => d3.scaleLinear() },
+            log: { label: 'Log', scale: () => d3.scaleLog() },
+            symlog: { label: 'Symlog', scale: () => d3.scaleSymlog() }
+        };
+        const currentDotScale = () => DOT_SCALES[appState.get('dotScale')] ? appState.get('dotScale') : 'linear';
+        const includeMajor = () => appState.get('dotMajor') === true && currentDotScale() !== 'linear';
+
+        // Zoom kept across redraws (reset when the scale or the plotted languages change)
+        let dotTransform = d3.zoomIdentity;
+        let resetDotZoom = () => {};
+        let brushMode = false;
+
+        // Language family of every language, for the group highlight
+        const groupOf = new Map(data.rows.map(d => [d.Language, d.groupName]));
+        // Pinned languages take the categorical colors of the palette, in pin order
+        const pinColors = () => colorSchemes.currentPalette().categorical;
+        const SEARCH_COLOR = '#ff0000';
+
+        // Pinned languages (appState.dotPinned, comma-separated) and highlighted group (appState.dotGroup)
+        function pinnedLanguages() {
+            const raw = appState.get('dotPinned');
+            if (!raw) return [];
+            return Array.from(new Set(raw.split(',').map(lang => data.findLanguage(lang)).filter(Boolean)));
+        }
+        function setPinnedLanguages(languages) {
+            appState.set('dotPinned', languages.length ? languages.join(',') : null);
+        }
+        const pinColor = lang => pinColors()[pinnedLanguages().indexOf(lang) % pinColors().length];
+        const highlightedGroup = () => Array.from(data.byGroup.keys()).find(group => group === appState.get('dotGroup')) || null;
+
+        // Case-insensitive fuzzy score of a name for a query, 0 when it does not match:
+        // exact > prefix > word prefix > substring > letters in order with few gaps > one or two typos
+        function fuzzyScore(query, name) {
+            const q = query.trim().toLowerCase(), n = name.toLowerCase();
+            if (!q) return 0;
+            if (n === q) return 100;
+            const closeness = q.length / n.length;
+            if (n.startsWith(q)) return 80 + closeness;
+            const words = n.split(/[\s,()/-]+/).filter(Boolean);
+            if (words.some(word => word.startsWith(q))) return 60 + closeness;
+            if (n.includes(q)) return 40 + closeness;
+
+            let position = -1, gaps = 0;
+            const inOrder = Array.from(q).every((ch, i) => {
+                const next = n.indexOf(ch, position + 1);
+                if (next < 0) return false;
+                if (i > 0) gaps += next - position - 1;
+                position = next;
+                return true;
+            });
+            if (inOrder && gaps <= q.length) return 39 - gaps + closeness;
+
+            if (q.length < 4) return 0;
+            const allowed = q.length < 7 ? 1 : 2;
+            const distance = d3.min([n].concat(words), word => editDistance(q, word.slice(0, q.length)));
+            return distance <= allowed ? 20 - distance * 5 : 0;
+        }
+
+        // Levenshtein distance between two short strings
+        function editDistance(a, b) {
+            let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                }
+                previous = current;
+            }
+            return previous[b.length];
+        }
+
+        const MAX_SUGGESTIONS = 8;
+
+        // Languages of the chart and language families matching the query, best first
+        // (ties go to the most spoken language)
+        function suggestionsFor(query) {
+            if (!query || !dotChartData) return [];
+            const languages = dotChartData.map(d => ({ type: 'language', name: d.lang, total: d.total, score: fuzzyScore(query, d.lang) }));
+            const groups = Array.from(data.byGroup.keys())
+                .filter(group => group !== 'Unknown')
+                .map(group => ({ type: 'group', name: group, total: Infinity, score: fuzzyScore(query, group) }));
+            return languages.concat(groups)
+                .filter(d => d.score > 0)
+                .sort((a, b) => b.score - a.score || b.total - a.total)
+                .slice(0, MAX_SUGGESTIONS);
+        }
+
+        // Language highlighted by the search box: its best language suggestion
+        function searchedLanguage() {
+            const best = suggestionsFor(appState.get('dotLanguage')).find(d => d.type === 'language');
+            return best ? best.name : null;
+        }
+
+        // Outliers the page text asks about: languages furthest above (many speakers in few states)
+        // and below (few speakers spread over many states) the least-squares fit of log10(speakers) on states
+        function findOutliers(points, perSide = 4) {
+            if (points.length < 3) return [];
+            const meanX = d3.mean(points, d => d.states);
+            const meanY = d3.mean(points, d => Math.log10(d.total));
+            const sxx = d3.sum(points, d => (d.states - meanX) ** 2);
+            const slope = sxx ? d3.sum(points, d => (d.states - meanX) * (Math.log10(d.total) - meanY)) / sxx : 0;
+            const residuals = points
+                .map(d => ({ d, residual: Math.log10(d.total) - (meanY + slope * (d.states - meanX)) }))
+                .sort((a, b) => b.residual - a.residual);
+            return residuals.slice(0, perSide).concat(residuals.slice(-perSide)).map(r => r.d);
+        }
+
+        // Candidate label positions around a point: [dx, dy, text-anchor], tried in order
+        const LABEL_POSITIONS = [[8, 4, 'start'], [-8, 4, 'end'], [0, -9, 'middle'], [0, 16, 'middle'],
+            [8, -7, 'start'], [-8, -7, 'end'], [8, 14, 'start'], [-8, 14, 'end']];
+
+        // Place each visible label at the first position that stays in the plot and overlaps no other label
+        // (animate wraps the selection in a transition when the chart is redrawn)
+        function placeLabels(labels, zx, zy, animate) {
+            const placed = [];
+            const overlaps = (a, b) => a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+            labels.each(function(d) {
+                const px = zx(d.states), py = zy(d.total);
+                const visible = px >= 0 && px <= innerW && py >= 0 && py <= innerH;
+                const label = d3.select(this).style('display', visible ? null : 'none');
+                if (!visible) return;
+
+                const width = this.getComputedTextLength ? this.getComputedTextLength() : d.lang.length * 6;
+                const boxAt = ([dx, dy, anchor]) => {
+                    const x0 = px + dx - (anchor === 'end' ? width : anchor === 'middle' ? width / 2 : 0);
+                    return { x0, x1: x0 + width, y0: py + dy - 10, y1: py + dy + 2 };
+                };
+                const position = LABEL_POSITIONS.find(p => {
+                    const box = boxAt(p);
+                    return box.x0 >= 0 && box.x1 <= innerW && box.y0 >= 0 && box.y1 <= innerH && !placed.some(other => overlaps(box, other));
+                }) || LABEL_POSITIONS[0];
+                placed.push(boxAt(position));
+                label.attr('text-anchor', position[2]);
+                animate(label).attr('x', px + position[0]).attr('y', py + position[1]);
+            });
+        }
+
+        // Chart size (the top margin holds the legend row); the width follows the container
+        const h = 360, margin = {top: 40, right: 20, bottom: 50, left: 70};
+        const innerH = h - margin.top - margin.bottom;
+        let w = 920, innerW = w - margin.left - margin.right;
+
+        // svg, axes, layers and zoom/brush behaviours, created on the first draw
+        let dotFrame = null;
+        // scales and axes of the last draw (the zoom rescales them)
+        let dotScales = null;
+        // set while the zoom state is reset programmatically, so that it does not reposition anything
+        let syncingZoom = false;
+
+        function createDotFrame() {
+            const svgDot = d3.select('#dot-container')
+                .append('svg')
+                .attr('viewBox', `0 0 ${w} ${h}`)
+                .attr('preserveAspectRatio', 'xMidYMid meet')
+                .attr('width', '100%')
+                .attr('height', '100%');
+
+            const clipRect = svgDot.append('defs').append('clipPath')
+                .attr('id', 'dot-clip')
+                .append('rect')
+                .attr('width', innerW)
+                .attr('height', innerH);
+
+            const g = svgDot.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+            // draw background rect to show bounds and axes (it also catches the zoom gestures)
+            const background = g.append('rect').attr('x', 0).attr('y', 0).attr('width', innerW).attr('height', innerH).attr('fill', 'none').attr('stroke', '#eee')
+                .style('pointer-events', 'all');
+
+            const xAxisG = g.append('g').attr('transform', `translate(0,${innerH})`);
+            const xTitle = xAxisG.append('text')
+                .attr('x', innerW/2)
+                .attr('y', 40)
+                .attr('fill', '#000')
+                .attr('text-anchor', 'middle')
+                .text('Number of states');
+
+            const yAxisG = g.append('g');
+            yAxisG.append('text')
+                .attr('class', 'dot-y-title')
+                .attr('transform', 'rotate(-90)')
+                .attr('x', -innerH/2)
+                .attr('y', -50)
+                .attr('fill', '#000')
+                .attr('text-anchor', 'middle');
+
+            const plot = g.append('g').attr('clip-path', 'url(#dot-clip)');
+            const pointsG = plot.append('g').attr('class', 'dot-points');
+            const labelsG = plot.append('g').attr('class', 'dot-labels');
+            const legend = svgDot.append('g')
+                .attr('class', 'dot-legend')
+                .attr('transform', `translate(${margin.left},14)`);
+
+            // Wheel zooms and drag pans; in brush mode dragging draws the area to zoom on instead
+            const zoom = d3.zoom()
+                .scaleExtent([1, 200])
+                .extent([[0, 0], [innerW, innerH]])
+                .translateExtent([[0, 0], [innerW, innerH]])
+                .filter(event => event.type === 'wheel' || (!brushMode && !event.ctrlKey && !event.button))
+                .on('zoom', event => {
+                    dotTransform = event.transform;
+                    if (!syncingZoom) positionDots();
+                });
+            g.call(zoom).on('dblclick.zoom', null);
+
+            const brush = d3.brush()
+                .extent([[0, 0], [innerW, innerH]])
+                .on('end', event => {
+                    if (!event.selection) return;
+                    const [[x0, y0], [x1, y1]] = event.selection;
+                    brushG.call(brush.move, null);
+                    // the selected area in unzoomed coordinates, centred and fitted in the plot
+                    const bx0 = dotTransform.invertX(x0), bx1 = dotTransform.invertX(x1);
+                    const by0 = dotTransform.invertY(y0), by1 = dotTransform.invertY(y1);
+                    const k = Math.max(1, Math.min(200, innerW / Math.max(1e-6, bx1 - bx0), innerH / Math.max(1e-6, by1 - by0)));
+                    const target = d3.zoomIdentity
+                        .translate(innerW / 2, innerH / 2)
+                        .scale(k)
+                        .translate(-(bx0 + bx1) / 2, -(by0 + by1) / 2);
+                    g.transition().duration(500).call(zoom.transform, target);
+                });
+            const brushG = g.append('g')
+                .attr('class', 'dot-brush')
+                .style('display', brushMode ? null : 'none')
+                .call(brush);
+
+            resetDotZoom = () => g.transition().duration(500).call(zoom.transform, d3.zoomIdentity);
+
+            return { svgDot, clipRect, background, g, xAxisG, xTitle, yAxisG, pointsG, labelsG, legend, zoom, brush, brushG };
+        }
+
+        // Fit the frame to the width of its container (set at once: a resize is not animated)
+        function sizeDotFrame() {
+            w = Math.max(320, chartWidth('#dot-container', 920));
+            innerW = w - margin.left - margin.right;
+            dotFrame.svgDot.attr('viewBox', `0 0 ${w} ${h}`);
+            dotFrame.clipRect.attr('width', innerW);
+            dotFrame.background.attr('width', innerW);
+            dotFrame.xTitle.attr('x', innerW / 2);
+            dotFrame.zoom.extent([[0, 0], [innerW, innerH]]).translateExtent([[0, 0], [innerW, innerH]]);
+            dotFrame.brushG.call(dotFrame.brush.extent([[0, 0], [innerW, innerH]]));
+        }
+
+        // Put the zoom behaviour back to the identity without moving anything (used before a redraw)
+        function clearDotZoom() {
+            dotTransform = d3.zoomIdentity;
+            if (!dotFrame) return;
+            syncingZoom = true;
+            dotFrame.g.call(dotFrame.zoom.transform, d3.zoomIdentity);
+            syncingZoom = false;
+        }
+
+        // Place the axes, points and labels for the current scales and zoom
+        // (through the transition t after a redraw, immediately while zooming)
+        function positionDots(t = null) {
+            const zx = dotTransform.rescaleX(dotScales.x);
+            const zy = dotTransform.rescaleY(dotScales.y);
+            const animate = selection => t ? selection.transition(t) : selection.interrupt();
+            animate(dotFrame.xAxisG).call(dotScales.xAxis.scale(zx));
+            animate(dotFrame.yAxisG).call(dotScales.yAxis.scale(zy));
+            animate(dotFrame.pointsG.selectAll('circle.point'))
+                .attr('cx', d => zx(d.states))
+                .attr('cy', d => zy(d.total));
+            placeLabels(dotFrame.labelsG.selectAll('text.dot-label'), zx, zy, animate);
+        }
 
-        // Exclude obvious outliers for the dotted chart
-        const exclude = new Set(['English', 'Spanish']);
+        function drawDotChart() {
+        const exclude = includeMajor() ? new Set() : MAJOR_LANGUAGES;
 
         const data = Array.from(totals.keys()).map(lang => ({
             lang,
@@ -539,96 +1426,298 @@ Promise.all([
 
         console.log('Dot chart data points:', data.length);
         dotChartData = data;
-        
-        // Populate datalist with language names
-        const languageList = data.map(d => d.lang).sort();
-        d3.select('#language-list').selectAll('option').data(languageList).join(
-            enter => enter.append('option').attr('value', d => d),
-            update => update
-        );
 
-        // Chart size
-        const w = 920, h = 360, margin = {top: 20, right: 20, bottom: 50, left: 70};
-        const innerW = w - margin.left - margin.right;
-        const innerH = h - margin.top - margin.bottom;
-
-        // scales
+        // What is emphasized: the searched language, the pinned ones and the languages of the highlighted group
+        const highlightedLang = searchedLanguage();
+        const pinned = pinnedLanguages();
+        const group = highlightedGroup();
+        const isPinned = d => pinned.includes(d.lang);
+        const inGroup = d => group !== null && groupOf.get(d.lang) === group;
+        const isEmphasized = d => d.lang === highlightedLang || isPinned(d) || inGroup(d);
+        const anyEmphasis = highlightedLang !== null || pinned.length > 0 || group !== null;
+
+        const legendItems = []
+            .concat(highlightedLang && !pinned.includes(highlightedLang) ? [{ label: `Search: ${highlightedLang}`, fill: SEARCH_COLOR }] : [])
+            .concat(pinned.map(lang => ({ label: data.find(d => d.lang === lang) ? lang : `${lang} (not plotted)`, fill: pinColor(lang) })))
+            .concat(group ? [{ label: group, fill: '#fff', ring: true }] : []);
+
+        // scales (the log scale starts at the smallest language instead of 0)
+        const scaleKey = currentDotScale();
         const xMax = d3.max(data, d => d.states) || 1;
         const yMax = d3.max(data, d => d.total) || 1;
 
+        if (!dotFrame) dotFrame = createDotFrame();
+        sizeDotFrame();
         const x = d3.scaleLinear().domain([0, xMax]).range([0, innerW]).nice();
-        const y = d3.scaleLinear().domain([0, yMax]).range([innerH, 0]).nice();
+        const y = DOT_SCALES[scaleKey].scale()
+            .domain([scaleKey === 'log' ? (d3.min(data, d => d.total) || 1) : 0, yMax])
+            .range([innerH, 0])
+            .nice();
+
+        dotScales = {
+            x,
+            y,
+            xAxis: d3.axisBottom(x).ticks(Math.min(xMax, 10)).tickFormat(d3.format('d')),
+            yAxis: d3.axisLeft(y).ticks(6, '~s')
+        };
+        dotFrame.yAxisG.select('.dot-y-title')
+            .text(scaleKey === 'linear' ? 'Total speakers' : `Total speakers (${DOT_SCALES[scaleKey].label.toLowerCase()} scale)`);
+
+        const t = dotFrame.svgDot.transition().duration(transitionDuration());
+        const zx = dotTransform.rescaleX(x);
+        const zy = dotTransform.rescaleY(y);
+
+        // points, keyed by language: new ones grow in place, removed ones shrink away
+        // (pinned languages take their chip colour, the searched one red, the group is ringed)
+        const points = dotFrame.pointsG.selectAll('circle.point')
+            .data(data, d => d.lang)
+            .join(
+                enter => enter.append('circle')
+                    .classed('point', true)
+                    .attr('r', 0)
+                    .attr('cx', d => zx(d.states))
+                    .attr('cy', d => zy(d.total))
+                    .on('mouseover', (event, d) => showTooltip(event, dotTooltipHtml(d, pinnedLanguages())))
+                    .on('mousemove', moveTooltip)
+                    .on('mouseout', hideTooltip),
+                update => update,
+                // exiting points lose their class so that zooming leaves them alone
+                exit => exit.classed('point', false).transition(t).attr('r', 0).remove()
+            );
+        points.transition(t)
+            .attr('r', d => d.lang === highlightedLang ? 8 : isPinned(d) ? 7 : inGroup(d) ? 5 : 4)
+            .attr('fill', d => isPinned(d) ? pinColor(d.lang) : d.lang === highlightedLang ? SEARCH_COLOR : color(d.lang))
+            .attr('opacity', d => (anyEmphasis && !isEmphasized(d)) ? 0.2 : 0.9)
+            .attr('stroke', d => (isPinned(d) || d.lang === highlightedLang || inGroup(d)) ? '#333' : 'none')
+            .attr('stroke-width', d => (isPinned(d) || d.lang === highlightedLang) ? 2 : inGroup(d) ? 1.5 : 0);
+        points.filter(isEmphasized).raise();
+
+        // Labels: the searched and pinned languages first (they win the best spots), then the outliers
+        const emphasized = data.filter(d => d.lang === highlightedLang || isPinned(d));
+        const labelled = emphasized.concat(findOutliers(data).filter(d => !emphasized.includes(d)));
+        dotFrame.labelsG.selectAll('text.dot-label')
+            .data(labelled, d => d.lang)
+            .join(
+                enter => enter.append('text'),
+                update => update.order(),
+                exit => exit.remove()
+            )
+            .attr('class', d => emphasized.includes(d) ? 'dot-label dot-label-highlighted' : 'dot-label')
+            .style('fill', d => isPinned(d) ? d3.color(pinColor(d.lang)).darker(0.5) : null)
+            .text(d => d.lang);
+
+        // Legend of the emphasized languages, one row above the plot
+        let legendX = 0;
+        dotFrame.legend.selectAll('g.dot-legend-item')
+            .data(legendItems, d => d.label)
+            .join(enter => {
+                const entry = enter.append('g').attr('class', 'dot-legend-item');
+                entry.append('circle').attr('r', 5).attr('stroke', '#333');
+                entry.append('text').attr('x', 9).attr('y', 4);
+                return entry;
+            })
+            .each(function(item) {
+                const entry = d3.select(this).attr('transform', `translate(${legendX},0)`);
+                entry.select('circle')
+                    .attr('fill', item.fill)
+                    .attr('stroke-width', item.ring ? 1.5 : 1);
+                const text = entry.select('text').text(item.label);
+                const width = text.node().getComputedTextLength ? text.node().getComputedTextLength() : item.label.length * 6;
+                legendX += 9 + width + 18;
+            });
 
-        // svg
-        d3.select('#dot-container').selectAll('svg').remove();
-        const svgDot = d3.select('#dot-container')
-            .append('svg')
-            .attr('viewBox', `0 0 ${w} ${h}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet')
-            .attr('width', '100%')
-            .attr('height', '100%');
-
-        const g = svgDot.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
-
-        // draw background rect to show bounds and axes
-        g.append('rect').attr('x', 0).attr('y', 0).attr('width', innerW).attr('height', innerH).attr('fill', 'none').attr('stroke', '#eee');
-
-        // axes
-        const xAxis = d3.axisBottom(x).ticks(Math.min(xMax, 10)).tickFormat(d3.format('d'));
-        const yAxis = d3.axisLeft(y).ticks(6).tickFormat(d3.format('~s'));
-
-        g.append('g').attr('transform', `translate(0,${innerH})`).call(xAxis)
-            .append('text')
-            .attr('x', innerW/2)
-            .attr('y', 40)
-            .attr('fill', '#000')
-            .attr('text-anchor', 'middle')
-            .text('Number of states');
-
-        g.append('g').call(yAxis)
-            .append('text')
-            .attr('transform', 'rotate(-90)')
-            .attr('x', -innerH/2)
-            .attr('y', -50)
-            .attr('fill', '#000')
-            .attr('text-anchor', 'middle')
-            .text('Total speakers');
-
-        // tooltip element (absolute positioned)
-        let tooltip = d3.select('body').selectAll('.dot-tooltip').data([0]).join(
-            enter => enter.append('div').attr('class', 'dot-tooltip').style('display','none'),
-            update => update
-        );
+        positionDots(t);
+        }
 
-        // points
-        g.selectAll('circle.point')
-            .data(data)
-            .enter().append('circle')
-            .classed('point', true)
-            .attr('cx', d => x(d.states))
-            .attr('cy', d => y(d.total))
-            .attr('r', d => (highlightedLang && d.lang === highlightedLang) ? 8 : 4)
-            .attr('fill', d => (highlightedLang && d.lang === highlightedLang) ? '#ff0000' : color(d.lang))
-            .attr('opacity', d => (highlightedLang && d.lang !== highlightedLang) ? 0.2 : 0.9)
-            .attr('stroke', d => (highlightedLang && d.lang === highlightedLang) ? '#333' : 'none')
-            .attr('stroke-width', d => (highlightedLang && d.lang === highlightedLang) ? 2 : 0)
-            .on('mouseover', function(event, d) {
-                tooltip.style('display','block').html(`<strong>${d.lang}</strong><br/>States: ${d.states}<br/>Speakers: ${d.total.toLocaleString()}`);
-            })
-            .on('mousemove', function(event) {
-                tooltip.style('left', (event.pageX + 10) + 'px').style('top', (event.pageY + 10) + 'px');
-            })
-            .on('mouseout', function() { tooltip.style('display','none'); });
+        const scaleSelect = d3.select('#dot-scale-select');
+        scaleSelect.selectAll('option')
+            .data(Object.keys(DOT_SCALES))
+            .join('option')
+            .attr('value', d => d)
+            .text(d => DOT_SCALES[d].label);
+        scaleSelect.on('change', function() {
+            appState.set('dotScale', this.value === 'linear' ? null : this.value);
+        });
+        d3.select('#dot-major-check').on('change', function() {
+            appState.set('dotMajor', this.checked);
+        });
+        d3.select('#dot-brush-check').on('change', function() {
+            brushMode = this.checked;
+            d3.select('#dot-container .dot-brush').style('display', brushMode ? null : 'none');
+        });
+        d3.select('#dot-zoom-reset').on('click', () => resetDotZoom());
+
+        // English and Spanish can only be included once the scale is not linear
+        function updateDotControls() {
+            const linear = currentDotScale() === 'linear';
+            scaleSelect.property('value', currentDotScale());
+            d3.select('#dot-major-check')
+                .property('checked', includeMajor())
+                .property('disabled', linear);
+            d3.select('#dot-major-label').attr('title', linear ? 'Switch to a log or symlog scale first' : null);
         }
-        
-        // Initial render
+
+        // Tooltip of a point, followed by the pinned languages for comparison
+        function dotTooltipHtml(d, pinned) {
+            const group = groupOf.get(d.lang);
+            let html = `<strong>${d.lang}</strong>${pinned.includes(d.lang) ? ' (pinned)' : ''}` +
+                (group ? `<br/>${group}` : '') +
+                `<br/>States: ${d.states}<br/>Speakers: ${formatEstimate(d.total, totalsMoe.get(d.lang))}`;
+            const others = pinned.filter(lang => lang !== d.lang);
+            if (others.length) {
+                html += '<br/><span class="dot-tooltip-heading">Pinned</span>' + others.map(lang =>
+                    `<br/><span class="dot-tooltip-swatch" style="background:${pinColor(lang)}"></span>${lang}: ` +
+                    `${(statesCount.get(lang) || 0)} states, ${(totals.get(lang) || 0).toLocaleString()} speakers`
+                ).join('');
+            }
+            return html;
+        }
+
+        // Suggestions under the search box; Enter or a click pins a language or highlights a family
+        const searchInput = d3.select('#language-search');
+        const suggestionList = d3.select('#dot-suggestions');
+        let activeSuggestion = 0;
+
+        function renderSuggestions() {
+            const items = document.activeElement === searchInput.node() ? suggestionsFor(searchInput.property('value')) : [];
+            activeSuggestion = Math.min(activeSuggestion, Math.max(0, items.length - 1));
+            suggestionList.style('display', items.length ? null : 'none')
+                .selectAll('li')
+                .data(items, d => d.type + d.name)
+                .join(enter => enter.append('li')
+                    .attr('role', 'option')
+                    .on('mousedown', (event, d) => {
+                        event.preventDefault();
+                        applySuggestion(d);
+                    }))
+                .attr('class', (d, i) => i === activeSuggestion ? 'active' : null)
+                .attr('aria-selected', (d, i) => i === activeSuggestion)
+                .html(d => d.type === 'group' ? `<span class="dot-suggestion-kind">Family</span> ${d.name}` : d.name);
+            searchInput.attr('aria-expanded', items.length > 0);
+        }
+
+        function applySuggestion(suggestion) {
+            if (suggestion.type === 'group') {
+                appState.set('dotGroup', suggestion.name);
+            } else if (!pinnedLanguages().includes(suggestion.name)) {
+                setPinnedLanguages(pinnedLanguages().concat([suggestion.name]));
+            }
+            searchInput.property('value', '');
+            appState.set('dotLanguage', null);
+            activeSuggestion = 0;
+            renderSuggestions();
+        }
+
+        // Chips of the pinned languages and of the highlighted family
+        function renderPins() {
+            const chips = pinnedLanguages().map(lang => ({ type: 'language', name: lang }))
+                .concat(highlightedGroup() ? [{ type: 'group', name: highlightedGroup() }] : []);
+            d3.select('#dot-pins').selectAll('.dot-chip')
+                .data(chips, d => d.type + d.name)
+                .join(enter => {
+                    const chip = enter.append('span').attr('class', d => `dot-chip dot-chip-${d.type}`);
+                    chip.append('span').attr('class', 'dot-chip-swatch');
+                    chip.append('span').attr('class', 'dot-chip-name');
+                    chip.append('button')
+                        .attr('type', 'button')
+                        .text('×')
+                        .on('click', (event, d) => {
+                            if (d.type === 'group') appState.set('dotGroup', null);
+                            else setPinnedLanguages(pinnedLanguages().filter(lang => lang !== d.name));
+                        });
+                    return chip;
+                })
+                .call(chip => {
+                    chip.select('.dot-chip-swatch').style('background', d => d.type === 'group' ? '#fff' : pinColor(d.name));
+                    chip.select('.dot-chip-name').text(d => d.type === 'group' ? `Family: ${d.name}` : d.name);
+                    chip.select('button').attr('aria-label', d => d.type === 'group' ? `Stop highlighting ${d.name}` : `Unpin ${d.name}`);
+                });
+        }
+
+        // Initial render (with the search, pins and family restored from the URL, if any)
+        searchInput.property('value', appState.get('dotLanguage') || '');
+        updateDotControls();
         drawDotChart();
+        renderPins();
+
+        chartExport.register({
+            container: '#dot-container',
+            name: 'language-dispersion',
+            rows: () => dotChartData.map(d => ({
+                Language: d.lang,
+                "Language family": groupOf.get(d.lang) || '',
+                States: d.states,
+                Speakers: d.total,
+                "Speakers MOE": totalsMoe.get(d.lang) || 0,
+                Pinned: pinnedLanguages().includes(d.lang) ? 'yes' : ''
+            }))
+        });
+        chartA11y.register({
+            container: '#dot-container',
+            title: 'Languages by number of states and number of speakers',
+            marks: 'circle.point',
+            markName: 'languages',
+            label: d => `${d.lang}` + (groupOf.get(d.lang) ? ` (${groupOf.get(d.lang)})` : '') +
+                `: spoken in ${d.states} states, ${formatEstimate(d.total, totalsMoe.get(d.lang))} speakers` +
+                (pinnedLanguages().includes(d.lang) ? ', pinned' : '')
+        });
         
-        // Add event listener for language search
-        d3.select('#language-search').on('input', function() {
-            const searchValue = this.value.trim();
-            drawDotChart(searchValue || null);
+        // Add event listeners for language search (suggestions follow every keystroke, the chart the pauses)
+        const setDotLanguage = debounce(value => appState.set('dotLanguage', value.trim() || null));
+        searchInput
+            .on('input', function() {
+                activeSuggestion = 0;
+                setDotLanguage(this.value);
+                renderSuggestions();
+            })
+            .on('focus', renderSuggestions)
+            .on('blur', () => suggestionList.style('display', 'none'))
+            .on('keydown', function(event) {
+                const items = suggestionsFor(this.value);
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    if (!items.length) return;
+                    activeSuggestion = (activeSuggestion + (event.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+                    renderSuggestions();
+                } else if (event.key === 'Enter' && items.length) {
+                    event.preventDefault();
+                    applySuggestion(items[activeSuggestion] || items[0]);
+                } else if (event.key === 'Escape') {
+                    suggestionList.style('display', 'none');
+                }
+            });
+
+        appState.on('dotLanguage', lang => {
+            if (searchInput.property('value').trim() !== (lang || '')) searchInput.property('value', lang || '');
+            drawDotChart();
+        });
+        appState.on('dotPinned', () => {
+            renderPins();
+            drawDotChart();
         });
+        appState.on('dotGroup', () => {
+            renderPins();
+            drawDotChart();
+        });
+
+        // A new scale or set of languages starts unzoomed
+        function redrawUnzoomed() {
+            clearDotZoom();
+            updateDotControls();
+            drawDotChart();
+        }
+        appState.on('palette', () => {
+            renderPins();
+            drawDotChart();
+        });
+        appState.on('dotScale', redrawUnzoomed);
+        appState.on('dotMajor', redrawUnzoomed);
+        appState.on('includeNonStates', () => {
+            readDotTotals();
+            redrawUnzoomed();
+        });
+        // the zoom is in pixels of the old width
+        onContainerResize('#dot-container', redrawUnzoomed);
 
         } catch (err) {
             console.error('Error rendering dot chart:', err);
@@ -636,408 +1725,788 @@ Promise.all([
 
     })();
 
-    function getStateName(d) {
-        // Prefer any name property present in the GeoJSON feature
-        if (d && d.properties) {
-            if (d.properties.name) return d.properties.name;
-            if (d.properties.NAME) return d.properties.NAME;
-            if (d.properties.STATE_NAME) return d.properties.STATE_NAME;
-            // Postal abbreviation field (many TopoJSONs use STUSPS or postal codes)
-            const post = d.properties.stusps || d.properties.STUSPS || d.properties.postal || d.properties.POSTAL;
-            if (post) {
-                const mapped = abbrevToName[post.toUpperCase()];
-                if (mapped) return mapped;
-            }
-        }
-
-        // Fallback to id mapping (numeric FIPS)
-        const stateIds = {
-            "1": "Alabama", "2": "Alaska", "4": "Arizona", "5": "Arkansas", "6": "California",
-            "8": "Colorado", "9": "Connecticut", "10": "Delaware", "12": "Florida", "13": "Georgia",
-            "15": "Hawaii", "16": "Idaho", "17": "Illinois", "18": "Indiana", "19": "Iowa",
-            "20": "Kansas", "21": "Kentucky", "22": "Louisiana", "23": "Maine", "24": "Maryland",
-            "25": "Massachusetts", "26": "Michigan", "27": "Minnesota", "28": "Mississippi",
-            "29": "Missouri", "30": "Montana", "31": "Nebraska", "32": "Nevada",
-            "33": "New Hampshire", "34": "New Jersey", "35": "New Mexico", "36": "New York",
-            "37": "North Carolina", "38": "North Dakota", "39": "Ohio", "40": "Oklahoma",
-            "41": "Oregon", "42": "Pennsylvania", "44": "Rhode Island", "45": "South Carolina",
-            "46": "South Dakota", "47": "Tennessee", "48": "Texas", "49": "Utah", "50": "Vermont",
-            "51": "Virginia", "53": "Washington", "54": "West Virginia", "55": "Wisconsin", "56": "Wyoming"
-        };
-
-        if (d && d.id != null) return stateIds[d.id.toString()] || "Unknown";
-        return "Unknown";
+    // Columns of the state language table: value() is used for sorting and the CSV export,
+    // format() for the cell text (csvLabel replaces the header when it is ambiguous in a CSV)
+    const formatCount = v => v != null ? Math.round(v).toLocaleString() : "N/A";
+    const formatShare = v => v != null ? v.toFixed(2) + "%" : "N/A";
+    const LANGUAGE_COLUMNS = [
+        { key: "language", label: "Language", value: d => d.Language, format: v => v },
+        { key: "group", label: "Group", value: d => d.groupName, format: v => v },
+        { key: "speakers", label: "Speakers", value: d => d.Speakers, format: formatCount, numeric: true },
+        { key: "speakersMoe", label: "± MOE", csvLabel: "Speakers MOE", value: d => d.speakersMoe, format: formatCount, numeric: true },
+        { key: "share", label: "% of population", value: d => d.share, format: v => v != null ? v.toFixed(3) + "%" : "N/A", numeric: true },
+        { key: "lessVeryWell", label: "English < very well", value: d => d.lessVeryWell, format: formatCount, numeric: true },
+        { key: "lessVeryWellMoe", label: "± MOE", csvLabel: "English < very well MOE", value: d => d.lessVeryWellMoe, format: formatCount, numeric: true },
+        { key: "lessVeryWellShare", label: "% of speakers", value: d => d.lessVeryWellShare, format: formatShare, numeric: true }
+    ];
+    const LANGUAGES_PER_PAGE = 25;
+
+    // Sort of the table (appState.tableSort, "column-asc" / "column-desc"; speakers first by default)
+    function currentTableSort() {
+        const match = /^(\w+)-(asc|desc)$/.exec(appState.get("tableSort") || "");
+        const column = match && LANGUAGE_COLUMNS.find(c => c.key === match[1]);
+        return column ? { column, descending: match[2] === "desc" } : { column: LANGUAGE_COLUMNS[2], descending: true };
     }
 
-    function displayLanguages(stateName, languageByState) {
+    // Rows of the selected state matching the filter, in table order
+    let languagesView = [];
+    let languagesPage = 0;
+
+    function displayLanguages(stateName) {
         const container = d3.select("#languages-container");
         container.html(""); // Clear previous content
+        languagesPage = 0;
+
+        // No selection: back to the prompt
+        d3.select("#clear-state-selection").property("hidden", !stateName);
+        d3.select(".languages-table-controls").property("hidden", !stateName);
+        if (!stateName) {
+            d3.select("#selected-state").text("Select a state");
+            languagesView = [];
+            return;
+        }
 
         const canonical = canonicalStateName(stateName);
 
-            const stateLanguages = languageByState.get(canonical) || [];
+            const stateLanguages = data.byState.get(canonical) || [];
             // Count distinct languages for the selected state
-            const distinctCount = new Set(stateLanguages.map(d => d.Language)).size;
+            const distinctCount = data.languageCountByState.get(canonical) || 0;
             d3.select("#selected-state").text(`${canonical}: ${distinctCount}`);
 
-        // Filter languages with speaker data and sort by speakers
-        const filteredLanguages = stateLanguages
+        // Languages with speaker data, with the derived shares of the table
+        const pop = data.populationOf(canonical, populationYear());
+        const rows = stateLanguages
             .filter(d => d.Speakers !== null)
-            .sort((a, b) => (b.Speakers || 0) - (a.Speakers || 0));
-
-        if (filteredLanguages.length === 0) {
+            .map(d => ({
+                Language: d.Language,
+                Subgroup: d.Subgroup,
+                groupName: d.groupName,
+                Speakers: d.Speakers,
+                speakersMoe: d.speakersMoe,
+                share: pop ? (d.Speakers / pop) * 100 : null,
+                lessVeryWell: d.lessVeryWell,
+                lessVeryWellMoe: d.lessVeryWellMoe,
+                lessVeryWellShare: d.lessVeryWell != null && d.Speakers > 0 ? (d.lessVeryWell / d.Speakers) * 100 : null
+            }));
+
+        if (rows.length === 0) {
             container.append("p")
                 .text("No language data available for this state.");
+            languagesView = [];
             return;
         }
 
-        // Create a table
-        const table = container.append("table")
+        // Text filter on the language, subgroup and group names
+        const filterText = (appState.get("tableFilter") || "").trim().toLowerCase();
+        const filterInput = d3.select("#languages-filter");
+        if (filterInput.property("value").trim() !== (appState.get("tableFilter") || "")) filterInput.property("value", appState.get("tableFilter") || "");
+        const filtered = filterText
+            ? rows.filter(d => [d.Language, d.Subgroup, d.groupName].some(v => (v || "").toLowerCase().includes(filterText)))
+            : rows;
+
+        // Sort on the chosen column (missing values always last)
+        const { column, descending } = currentTableSort();
+        languagesView = filtered.slice().sort((a, b) => {
+            const va = column.value(a), vb = column.value(b);
+            if (va == null || vb == null) return (va == null) - (vb == null);
+            const order = column.numeric ? va - vb : String(va).localeCompare(String(vb));
+            return descending ? -order : order;
+        });
+
+        if (languagesView.length === 0) {
+            container.append("p").text(`No language matches "${appState.get("tableFilter")}".`);
+            return;
+        }
+
+        // Create a table (scrolls horizontally inside the side panel)
+        const table = container.append("div")
+            .attr("class", "languages-table-scroll")
+            .append("table")
             .style("width", "100%")
             .style("border-collapse", "collapse")
-            .style("margin-top", "20px");
+            .style("margin-top", "12px");
 
         const thead = table.append("thead");
         thead.append("tr")
             .selectAll("th")
-            .data(["Language", "Speakers"])
+            .data(LANGUAGE_COLUMNS)
             .join("th")
-            .text(d => d)
-            .style("padding", "10px")
-            .style("text-align", "left")
-            .style("border-bottom", "2px solid #333")
-            .style("font-weight", "bold");
-
-        const tbody = table.append("tbody");
-        tbody.selectAll("tr")
-            .data(filteredLanguages)
-            .join("tr")
-            .selectAll("td")
-            .data(d => [d.Language, d.Speakers !== null ? d.Speakers.toLocaleString() : 'N/A'])
-            .join("td")
-            .text(d => d)
-            .style("padding", "8px")
-            .style("border-bottom", "1px solid #ddd");
+            .attr("class", d => d.numeric ? "numeric" : null)
+            .attr("aria-sort", d => d === column ? (descending ? "descending" : "ascending") : "none")
+            .attr("title", "Click to sort")
+            .text(d => d.label + (d === column ? (descending ? " ▼" : " ▲") : ""))
+            .on("click", (event, d) => {
+                // a new column starts with its natural order (text A-Z, numbers largest first)
+                const nextDescending = d === column ? !descending : !!d.numeric;
+                appState.set("tableSort", `${d.key}-${nextDescending ? "desc" : "asc"}`);
+            });
+
+        table.append("tbody");
+        const pager = container.append("div").attr("class", "languages-pager");
+
+        renderLanguagesPage();
+
+        function renderLanguagesPage() {
+            const pageCount = Math.ceil(languagesView.length / LANGUAGES_PER_PAGE);
+            const pageRows = languagesView.slice(languagesPage * LANGUAGES_PER_PAGE, (languagesPage + 1) * LANGUAGES_PER_PAGE);
+
+            table.select("tbody").selectAll("tr")
+                .data(pageRows)
+                .join("tr")
+                .selectAll("td")
+                .data(d => LANGUAGE_COLUMNS.map(c => ({ column: c, value: c.value(d) })))
+                .join("td")
+                .attr("class", d => d.column.numeric ? "numeric" : null)
+                .text(d => d.column.format(d.value));
+
+            pager.html("");
+            if (pageCount <= 1) {
+                pager.append("span").text(`${languagesView.length} languages`);
+                return;
+            }
+            pager.append("button")
+                .attr("type", "button")
+                .property("disabled", languagesPage === 0)
+                .text("‹ Previous")
+                .on("click", () => { languagesPage--; renderLanguagesPage(); });
+            pager.append("span")
+                .text(`Page ${languagesPage + 1} of ${pageCount} (${languagesView.length} languages)`);
+            pager.append("button")
+                .attr("type", "button")
+                .property("disabled", languagesPage >= pageCount - 1)
+                .text("Next ›")
+                .on("click", () => { languagesPage++; renderLanguagesPage(); });
+        }
+    }
+
+    // CSV of the current view: every filtered row (all pages) in table order, raw numbers
+    function downloadLanguagesCsv() {
+        const state = appState.get("state");
+        if (!state || !languagesView.length) return;
+        const header = ["State"].concat(LANGUAGE_COLUMNS.map(c => c.csvLabel || c.label));
+        const csv = d3.csvFormatRows([header].concat(languagesView.map(d => [state].concat(LANGUAGE_COLUMNS.map(c => {
+            const v = c.value(d);
+            return v == null ? "" : v;
+        })))));
+        chartExport.download(new Blob([csv], { type: "text/csv;charset=utf-8" }), `languages-${state.replace(/\s+/g, "-").toLowerCase()}.csv`);
     }
 
+    displayLanguages(appState.get("state"));
+    appState.on("state", displayLanguages);
+    appState.on("tableSort", () => displayLanguages(appState.get("state")));
+    appState.on("tableFilter", () => displayLanguages(appState.get("state")));
+    appState.on("year", () => displayLanguages(appState.get("state")));
+
+    d3.select("#languages-filter").on("input", function() {
+        appState.set("tableFilter", this.value.trim() || null);
+    });
+    d3.select("#languages-download").on("click", downloadLanguagesCsv);
+
+    d3.select("#clear-state-selection").on("click", () => appState.set("state", null));
+
     // ===========================
     // Box Plot: Proportion of People Who Don't Speak English Very Well
     // ===========================
-    
-    try {
-        
-        // Calculate "Speak English less than Very Well" by state
-        const englishLessThanVeryWellByStateBoxplot = new Map();
-        languageData.forEach(d => {
-            const stateKey = canonicalStateName(d.State);
-            let count = d["Speak English less than \"Very Well\""] || d['Speak English less than "Very Well"'];
-            count = parseSpeakers(count);
-            if (count !== null && count > 0) {
-                const current = englishLessThanVeryWellByStateBoxplot.get(stateKey) || 0;
-                englishLessThanVeryWellByStateBoxplot.set(stateKey, current + count);
-            }
+    // One box for all the states, or side by side per Census region or per language family
+    // (appState.boxplotGroupBy). Every state is drawn over its box as a point of a beeswarm.
+
+    // Tukey box of a list of values: quartiles interpolated between the sorted values (d3.quantileSorted,
+    // the default method of R and numpy), whiskers reaching the furthest values within 1.5 × IQR of the
+    // box, and the values beyond those fences counted as outliers
+    function boxplotStats(values) {
+        const sorted = values.slice().sort(d3.ascending);
+        const q1 = d3.quantileSorted(sorted, 0.25);
+        const median = d3.quantileSorted(sorted, 0.5);
+        const q3 = d3.quantileSorted(sorted, 0.75);
+        const iqr = q3 - q1;
+        const lowFence = q1 - 1.5 * iqr;
+        const highFence = q3 + 1.5 * iqr;
+        const inside = sorted.filter(v => v >= lowFence && v <= highFence);
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            q1,
+            median,
+            q3,
+            max: sorted[sorted.length - 1],
+            iqr,
+            lowWhisker: inside[0],
+            highWhisker: inside[inside.length - 1],
+            isOutlier: v => v < lowFence || v > highFence
+        };
+    }
+
+    // Vertical offsets of a beeswarm: taken from left to right, each point goes to the offset nearest
+    // the centre line where it overlaps none of the points already placed (within ±maxOffset)
+    function beeswarm(xs, radius, maxOffset) {
+        const diameter = 2 * radius;
+        const placed = [];
+        const offsets = new Array(xs.length);
+        d3.range(xs.length).sort((a, b) => xs[a] - xs[b]).forEach(i => {
+            const near = placed.filter(p => Math.abs(p.x - xs[i]) < diameter);
+            const candidates = [0];
+            near.forEach(p => {
+                const dy = Math.sqrt(diameter * diameter - (p.x - xs[i]) ** 2);
+                candidates.push(p.y + dy, p.y - dy);
+            });
+            candidates.sort((a, b) => Math.abs(a) - Math.abs(b));
+            const free = candidates.find(c => near.every(p => (p.x - xs[i]) ** 2 + (p.y - c) ** 2 >= diameter * diameter - 1e-6));
+            const y = Math.max(-maxOffset, Math.min(maxOffset, free !== undefined ? free : candidates[candidates.length - 1]));
+            offsets[i] = y;
+            placed.push({ x: xs[i], y });
         });
+        return offsets;
+    }
 
+    const currentBoxplotGrouping = () => ["region", "family"].includes(appState.get("boxplotGroupBy")) ? appState.get("boxplotGroupBy") : "none";
 
-        // Calculate proportions and collect data for box plot
-        const proportionsForBoxplot = [];
-        englishLessThanVeryWellByStateBoxplot.forEach((count, state) => {
-            const pop = populationByState.get(state);
-            if (pop && pop > 0) {
-                const proportion = (count / pop) * 100;
-                if (!isNaN(proportion) && isFinite(proportion)) {
-                    proportionsForBoxplot.push({
-                        state: state,
-                        proportion: proportion
+    // Boxes to draw: [{ name, points: [{ state, value, moe }] }] where value is the share (%) of the
+    // population speaking English less than "very well" (and, per family, a language of the family)
+    function boxplotGroups(grouping) {
+        const population = data.populationFor(populationYear());
+        const shareOf = (state, estimate) => {
+            const pop = population.get(state);
+            if (!(pop > 0) || !estimate || !(estimate.value > 0)) return null;
+            return { state, value: (estimate.value / pop) * 100, moe: ((estimate.moe || 0) / pop) * 100 };
+        };
+
+        if (grouping === "family") {
+            const byState = new Map(data.stateList.map(state => [state, dataLayer.aggregateLessVeryWell(data.rowsFor(state), "group")]));
+            return Array.from(dataLayer.aggregateLessVeryWell(data.rows, "group"))
+                .filter(([, estimate]) => estimate.value > 0)
+                .sort((a, b) => b[1].value - a[1].value)
+                .map(([name]) => ({
+                    name,
+                    points: data.stateList.map(state => shareOf(state, byState.get(state).get(name))).filter(Boolean)
+                }))
+                .filter(group => group.points.length);
+        }
+
+        const points = Array.from(data.lessVeryWellByState, ([state, estimate]) => shareOf(state, estimate)).filter(Boolean);
+        if (grouping === "region") {
+            return Object.keys(dataLayer.CENSUS_REGIONS)
+                .map(name => ({ name, points: points.filter(p => dataLayer.censusRegion(p.state) === name) }))
+                .filter(group => group.points.length);
+        }
+        return [{ name: "All states", points }];
+    }
+
+    const boxplotPct = v => v.toFixed(2) + "%";
+
+    function boxplotStatsLines(stats, compact) {
+        if (compact) {
+            return [
+                `Median: ${boxplotPct(stats.median)}`,
+                `Q1–Q3: ${boxplotPct(stats.q1)}–${boxplotPct(stats.q3)}`,
+                `${stats.count} states, ${stats.outliers.length} outlier${stats.outliers.length === 1 ? "" : "s"}`
+            ];
+        }
+        return [
+            `Min: ${boxplotPct(stats.min)}`,
+            `Q1: ${boxplotPct(stats.q1)}`,
+            `Median: ${boxplotPct(stats.median)}`,
+            `Q3: ${boxplotPct(stats.q3)}`,
+            `Max: ${boxplotPct(stats.max)}`,
+            `IQR: ${boxplotPct(stats.iqr)}`,
+            `Outliers: ${stats.outliers.length}`
+        ];
+    }
+
+    function boxLabel(d) {
+        const s = d.stats;
+        return `${d.name}: ${s.count} states range from ${boxplotPct(s.min)} to ${boxplotPct(s.max)}; ` +
+            `the middle half lies between ${boxplotPct(s.q1)} and ${boxplotPct(s.q3)}, median ${boxplotPct(s.median)}` +
+            (s.outliers.length ? `; outliers: ${s.outliers.join(", ")}` : "");
+    }
+
+    function boxplotPointFigures(d) {
+        return [
+            `${formatEstimate(d.value, d.moe, v => v.toFixed(2) + "%")} speak English less than "very well"` +
+                (d.group === "All states" ? "" : (currentBoxplotGrouping() === "family" ? ` and a language of ${d.group}` : ` (${d.group})`)),
+            d.outlier ? "Outlier: beyond 1.5 × IQR from the box" : null
+        ].filter(Boolean);
+    }
+
+    // Redraws the whole box plot (the proportions depend on the population year)
+    let markSelectedState = () => {};
+    let boxplotRows = [];
+    function renderBoxplot() {
+        d3.select("#boxplot-container").selectAll("*").remove();
+        markSelectedState = () => {};
+        boxplotRows = [];
+        const grouping = currentBoxplotGrouping();
+        d3.select("#boxplot-group-select").property("value", grouping);
+
+        try {
+            const groups = boxplotGroups(grouping);
+
+            if (groups.length === 0) {
+                console.warn("No valid proportion data for box plot");
+                d3.select("#boxplot-container").append("p").text("No data available for box plot");
+            } else {
+                groups.forEach(group => {
+                    group.stats = boxplotStats(group.points.map(p => p.value));
+                    group.points.forEach(p => Object.assign(p, { group: group.name, outlier: group.stats.isOutlier(p.value) }));
+                    group.stats.outliers = group.points.filter(p => p.outlier).map(p => p.state);
+                });
+                boxplotRows = groups.map(({ name, stats }) => ({
+                    Box: name,
+                    States: stats.count,
+                    "Min (%)": stats.min,
+                    "Q1 (%)": stats.q1,
+                    "Median (%)": stats.median,
+                    "Q3 (%)": stats.q3,
+                    "Max (%)": stats.max,
+                    "IQR (pp)": stats.iqr,
+                    "Lower whisker (%)": stats.lowWhisker,
+                    "Upper whisker (%)": stats.highWhisker,
+                    Outliers: stats.outliers.join(", ")
+                }));
+
+                // D3 Box Plot (horizontal), as wide as its container; on narrow screens
+                // the statistics of a single box go below the plot instead of to its right
+                // (side-by-side boxes keep theirs in the tooltip of the box)
+                const single = groups.length === 1;
+                const bpWidth = Math.max(320, chartWidth("#boxplot-container", 1100));
+                const narrow = bpWidth < 700;
+                const rowHeight = single ? 210 : 120;
+                const bpMargin = { top: 20, right: narrow ? 30 : 260, bottom: 50, left: narrow ? 30 : 60 };
+                const bpInnerWidth = bpWidth - bpMargin.left - bpMargin.right;
+                const bpInnerHeight = rowHeight * groups.length;
+                const bpPlotHeight = bpInnerHeight + bpMargin.top + bpMargin.bottom;
+                const bpHeight = bpPlotHeight + (narrow && single ? 110 : 0);
+
+                const bpSvg = d3.select("#boxplot-container")
+                    .append("svg")
+                    .attr("viewBox", `0 0 ${bpWidth} ${bpHeight}`)
+                    .attr("preserveAspectRatio", "xMidYMid meet")
+                    .attr("width", "100%")
+                    .attr("height", "100%");
+
+                const bpGroup = bpSvg.append("g")
+                    .attr("transform", `translate(${bpMargin.left},${bpMargin.top})`);
+
+                // Scale for x-axis (proportion)
+                const bpXScale = d3.scaleLinear()
+                    .domain([0, d3.max(groups, g => g.stats.max) * 1.1])
+                    .range([0, bpInnerWidth]);
+
+                const boxHeight = single ? 60 : 36;
+                const pointRadius = single ? 5 : 4;
+
+                const rows = bpGroup.selectAll("g.boxplot-row")
+                    .data(groups)
+                    .join("g")
+                    .attr("class", "boxplot-row")
+                    .attr("transform", (d, i) => `translate(0,${i * rowHeight})`);
+
+                rows.each(function(group) {
+                    const row = d3.select(this);
+                    const { stats } = group;
+                    // side-by-side boxes leave room for their name above them
+                    const boxY = single ? rowHeight / 2 : rowHeight / 2 + 8;
+
+                    if (!single) {
+                        row.append("text")
+                            .attr("class", "boxplot-row-name")
+                            .attr("x", 0)
+                            .attr("y", 14)
+                            .text(group.name);
+                    }
+
+                    // Whisker line and caps (furthest states within 1.5 × IQR of the box)
+                    row.append("line")
+                        .attr("x1", bpXScale(stats.lowWhisker))
+                        .attr("x2", bpXScale(stats.highWhisker))
+                        .attr("y1", boxY)
+                        .attr("y2", boxY)
+                        .attr("stroke", "#333")
+                        .attr("stroke-width", 1);
+                    [stats.lowWhisker, stats.highWhisker].forEach(v => {
+                        row.append("line")
+                            .attr("x1", bpXScale(v))
+                            .attr("x2", bpXScale(v))
+                            .attr("y1", boxY - boxHeight / 3)
+                            .attr("y2", boxY + boxHeight / 3)
+                            .attr("stroke", "#333")
+                            .attr("stroke-width", 2);
                     });
-                }
-            }
-        });
 
+                    // Draw box (Q1 to Q3)
+                    row.append("rect")
+                        .datum(Object.assign({ kind: "box" }, group))
+                        .attr("class", "boxplot-box")
+                        .attr("x", bpXScale(stats.q1))
+                        .attr("y", boxY - boxHeight / 2)
+                        .attr("width", Math.max(1, bpXScale(stats.q3) - bpXScale(stats.q1)))
+                        .attr("height", boxHeight)
+                        .attr("fill", "#87CEEB")
+                        .attr("stroke", "#333")
+                        .attr("stroke-width", 2)
+                        .on("mouseover", (event, d) => showTooltip(event,
+                            [`<strong>${d.name}</strong>`].concat(boxplotStatsLines(d.stats, false)).join("<br/>")))
+                        .on("mousemove", moveTooltip)
+                        .on("mouseout", hideTooltip);
+
+                    // Draw median line
+                    row.append("line")
+                        .attr("x1", bpXScale(stats.median))
+                        .attr("x2", bpXScale(stats.median))
+                        .attr("y1", boxY - boxHeight / 2)
+                        .attr("y2", boxY + boxHeight / 2)
+                        .attr("stroke", "#d62728")
+                        .attr("stroke-width", 3)
+                        .style("pointer-events", "none");
+
+                    // Every state, spread in a beeswarm over the box
+                    const xs = group.points.map(p => bpXScale(p.value));
+                    const offsets = beeswarm(xs, pointRadius + 0.5, rowHeight / 2 - 22);
+                    group.points.forEach((p, i) => Object.assign(p, { kind: "point", cx: xs[i], cy: boxY + offsets[i] }));
+
+                    row.selectAll("circle.boxplot-point")
+                        .data(group.points)
+                        .join("circle")
+                        .attr("class", d => "boxplot-point" + (d.outlier ? " boxplot-outlier" : ""))
+                        .attr("cx", d => d.cx)
+                        .attr("cy", d => d.cy)
+                        .attr("r", pointRadius)
+                        .style("cursor", "pointer")
+                        .on("mouseover", (event, d) => showTooltip(event,
+                            [`<strong>${d.state}</strong>`].concat(boxplotPointFigures(d)).join("<br/>")))
+                        .on("mousemove", moveTooltip)
+                        .on("mouseout", hideTooltip)
+                        .on("click", (event, d) => toggleSelectedState(d.state));
+
+                    // Outliers are named
+                    row.selectAll("text.boxplot-outlier-label")
+                        .data(group.points.filter(p => p.outlier))
+                        .join("text")
+                        .attr("class", "boxplot-outlier-label")
+                        .attr("x", d => d.cx)
+                        .attr("y", d => d.cy - pointRadius - 4)
+                        .attr("text-anchor", "middle")
+                        .text(d => d.state);
+
+                    // Statistics to the right of the box
+                    if (!narrow) {
+                        const lines = boxplotStatsLines(stats, !single);
+                        const statsY = single ? boxY - 50 : boxY - 14;
+                        if (single) {
+                            row.append("text")
+                                .attr("class", "boxplot-stats")
+                                .attr("x", bpInnerWidth + 20)
+                                .attr("y", statsY)
+                                .style("font-weight", "bold")
+                                .text("Statistics:");
+                        }
+                        lines.forEach((line, index) => {
+                            row.append("text")
+                                .attr("class", "boxplot-stats")
+                                .attr("x", bpInnerWidth + 20)
+                                .attr("y", statsY + (single ? 20 : 0) + index * 16)
+                                .text(line);
+                        });
+                    }
+                });
 
-        if (proportionsForBoxplot.length === 0) {
-            console.warn("No valid proportion data for box plot");
-            d3.select("#boxplot-container").append("p").text("No data available for box plot");
-        } else {
-            // Sort proportions for quartile calculation
-            const proportionValues = proportionsForBoxplot.map(d => d.proportion).sort((a, b) => a - b);
-            
-            // Calculate quartiles and statistics
-            function calculateQuartiles(data) {
-                const sorted = [...data].sort((a, b) => a - b);
-                const len = sorted.length;
-                
-                const q1Index = Math.floor(len * 0.25);
-                const medianIndex = Math.floor(len * 0.5);
-                const q3Index = Math.floor(len * 0.75);
-                
-                const q1 = sorted[q1Index];
-                const median = sorted[medianIndex];
-                const q3 = sorted[q3Index];
-                const min = sorted[0];
-                const max = sorted[len - 1];
-                const iqr = q3 - q1;
-                
-                return { min, q1, median, q3, max, iqr };
+                // Add x-axis
+                const bpXAxis = d3.axisBottom(bpXScale).ticks(6).tickFormat(d3.format('.1f'));
+                bpGroup.append("g")
+                    .attr("transform", `translate(0,${bpInnerHeight})`)
+                    .call(bpXAxis);
+
+                // Add x-axis label
+                bpSvg.append("text")
+                    .attr("x", bpMargin.left + (bpInnerWidth / 2))
+                    .attr("y", bpPlotHeight - 12)
+                    .style("text-anchor", "middle")
+                    .style("font-size", "12px")
+                    .text(`Proportion (%) of the ${data.yearLabel(populationYear())} population`);
+
+                // A single box on a narrow screen: statistics in three columns below the plot
+                if (narrow && single) {
+                    const statsColumnWidth = bpInnerWidth / 3;
+                    const statsY = bpInnerHeight + 64;
+                    bpGroup.append("text")
+                        .attr("class", "boxplot-stats")
+                        .attr("x", 0)
+                        .attr("y", statsY)
+                        .style("font-weight", "bold")
+                        .text("Statistics:");
+                    boxplotStatsLines(groups[0].stats, false).forEach((stat, index) => {
+                        bpGroup.append("text")
+                            .attr("class", "boxplot-stats")
+                            .attr("x", (index % 3) * statsColumnWidth)
+                            .attr("y", statsY + 16 + Math.floor(index / 3) * 16)
+                            .text(stat);
+                    });
+                }
+
+                // Selected state: highlighted point(s), brought to the front, with their value
+                markSelectedState = function(state) {
+                    bpGroup.selectAll(".boxplot-selected-label").remove();
+                    bpGroup.selectAll("circle.boxplot-point")
+                        .classed("boxplot-selected", d => d.state === state)
+                        .filter(d => d.state === state)
+                        .raise()
+                        .each(function(d) {
+                            d3.select(this.parentNode).append("text")
+                                .attr("class", "boxplot-selected-label")
+                                .attr("x", d.cx)
+                                .attr("y", d.cy + pointRadius + 14)
+                                .attr("text-anchor", "middle")
+                                .text(`${state}: ${boxplotPct(d.value)}`);
+                        });
+                };
+
+                markSelectedState(appState.get("state"));
             }
-            
-            const boxplotStats = calculateQuartiles(proportionValues);
-            
-            // D3 Box Plot (horizontal)
-            const bpWidth = 1100;
-            const bpHeight = 280;
-            const bpMargin = { top: 20, right: 260, bottom: 50, left: 60 };
-            const bpInnerWidth = bpWidth - bpMargin.left - bpMargin.right;
-            const bpInnerHeight = bpHeight - bpMargin.top - bpMargin.bottom;
-            
-            const bpSvg = d3.select("#boxplot-container")
-                .append("svg")
-                .attr("viewBox", `0 0 ${bpWidth} ${bpHeight}`)
-                .attr("preserveAspectRatio", "xMidYMid meet")
-                .attr("width", "100%")
-                .attr("height", "100%");
-            
-            const bpGroup = bpSvg.append("g")
-                .attr("transform", `translate(${bpMargin.left},${bpMargin.top})`);
-            
-            // Scale for x-axis (proportion)
-            const bpXScale = d3.scaleLinear()
-                .domain([0, boxplotStats.max * 1.1])
-                .range([0, bpInnerWidth]);
-
-            const boxY = bpInnerHeight / 2;
-            const boxHeight = 60;
-
-            // Draw whisker line (min to max)
-            bpGroup.append("line")
-                .attr("x1", bpXScale(boxplotStats.min))
-                .attr("x2", bpXScale(boxplotStats.max))
-                .attr("y1", boxY)
-                .attr("y2", boxY)
-                .attr("stroke", "#333")
-                .attr("stroke-width", 1);
-
-            // Draw whisker caps
-            bpGroup.append("line")
-                .attr("x1", bpXScale(boxplotStats.min))
-                .attr("x2", bpXScale(boxplotStats.min))
-                .attr("y1", boxY - 20)
-                .attr("y2", boxY + 20)
-                .attr("stroke", "#333")
-                .attr("stroke-width", 2);
-
-            bpGroup.append("line")
-                .attr("x1", bpXScale(boxplotStats.max))
-                .attr("x2", bpXScale(boxplotStats.max))
-                .attr("y1", boxY - 20)
-                .attr("y2", boxY + 20)
-                .attr("stroke", "#333")
-                .attr("stroke-width", 2);
-
-            // Draw box (Q1 to Q3)
-            bpGroup.append("rect")
-                .attr("x", bpXScale(boxplotStats.q1))
-                .attr("y", boxY - boxHeight / 2)
-                .attr("width", Math.max(1, bpXScale(boxplotStats.q3) - bpXScale(boxplotStats.q1)))
-                .attr("height", boxHeight)
-                .attr("fill", "#87CEEB")
-                .attr("stroke", "#333")
-                .attr("stroke-width", 2);
-
-            // Draw median line
-            bpGroup.append("line")
-                .attr("x1", bpXScale(boxplotStats.median))
-                .attr("x2", bpXScale(boxplotStats.median))
-                .attr("y1", boxY - boxHeight / 2)
-                .attr("y2", boxY + boxHeight / 2)
-                .attr("stroke", "#d62728")
-                .attr("stroke-width", 3);
-
-            // Add x-axis
-            const bpXAxis = d3.axisBottom(bpXScale).ticks(6).tickFormat(d3.format('.1f'));
-            bpGroup.append("g")
-                .attr("transform", `translate(0,${bpInnerHeight})`)
-                .call(bpXAxis);
-
-            // Add x-axis label
-            bpSvg.append("text")
-                .attr("x", bpMargin.left + (bpInnerWidth / 2))
-                .attr("y", bpHeight - 12)
-                .style("text-anchor", "middle")
-                .style("font-size", "12px")
-                .text("Proportion (%)");
-            
-            // Add statistics text
-            const statsText = [
-                `Min: ${boxplotStats.min.toFixed(2)}%`,
-                `Q1: ${boxplotStats.q1.toFixed(2)}%`,
-                `Median: ${boxplotStats.median.toFixed(2)}%`,
-                `Q3: ${boxplotStats.q3.toFixed(2)}%`,
-                `Max: ${boxplotStats.max.toFixed(2)}%`,
-                `IQR: ${boxplotStats.iqr.toFixed(2)}%`
-            ];
-            
-            const statsX = bpInnerWidth + 20;
-            const statsY = boxY - 40;
-
-            bpGroup.append("text")
-                .attr("x", statsX)
-                .attr("y", statsY)
-                .attr("font-size", "11px")
-                .attr("font-family", "monospace")
-                .text("Statistics:")
-                .style("font-weight", "bold");
-            
-            statsText.forEach((stat, index) => {
-                bpGroup.append("text")
-                    .attr("x", statsX)
-                    .attr("y", statsY + 20 + (index * 16))
-                    .attr("font-size", "11px")
-                    .attr("font-family", "monospace")
-                    .text(stat);
-            });
+        } catch (error) {
+            console.error("Error creating box plot:", error);
+            d3.select("#boxplot-container").append("p").text("Error: " + error.message);
         }
-    } catch (error) {
-        console.error("Error creating box plot:", error);
-        d3.select("#boxplot-container").append("p").text("Error: " + error.message);
     }
 
+    renderBoxplot();
+    chartExport.register({ container: "#boxplot-container", name: "english-proficiency-boxplot", rows: () => boxplotRows });
+    chartA11y.register({
+        container: "#boxplot-container",
+        title: 'Distribution of the share speaking English less than "very well" across the states',
+        marks: ".boxplot-box, .boxplot-point",
+        markName: "boxes and states",
+        label: d => d.kind === "box" ? boxLabel(d)
+            : `${d.state}: ${boxplotPointFigures(d).join(", ")}` + (d.state === appState.get("state") ? ", selected" : ""),
+        selectable: true
+    });
+    d3.select("#boxplot-group-select").on("change", function() {
+        appState.set("boxplotGroupBy", this.value === "none" ? null : this.value);
+    });
+    appState.on("boxplotGroupBy", renderBoxplot);
+    appState.on("year", renderBoxplot);
+    appState.on("includeNonStates", renderBoxplot);
+    onContainerResize("#boxplot-container", renderBoxplot);
+    appState.on("state", state => markSelectedState(state));
+
     // ===========================
     // English Proficiency Map
     // ===========================
-    const epWidth = 960;
-    const epHeight = 600;
-
-    const epSvg = d3.select("#english-proficiency-map-container")
-        .append("svg")
-        .attr("width", epWidth)
-        .attr("height", epHeight)
-        .style("border", "1px solid #ccc");
-
-    const epProjection = d3.geoAlbersUsa()
-        .translate([epWidth / 2, epHeight / 2])
-        .scale(850);
-
-    const epPath = d3.geoPath().projection(epProjection);
-
-    // Calculate "Speak English less than Very Well" by state
-    const englishLessThanVeryWellByState = new Map();
-    languageData.forEach(d => {
-        const stateKey = canonicalStateName(d.State);
-        let count = d["Speak English less than \"Very Well\""] || d['Speak English less than "Very Well"'];
-        count = parseSpeakers(count);
-        if (count !== null) {
-            const current = englishLessThanVeryWellByState.get(stateKey) || 0;
-            englishLessThanVeryWellByState.set(stateKey, current + count);
-        }
-    });
-
-    // Calculate proportions: (less than very well / total population) * 100
-    const englishProficiencyProportions = new Map();
-    englishLessThanVeryWellByState.forEach((count, state) => {
-        const pop = populationByState.get(state) || 1;
-        const proportion = (count / pop) * 100;
-        englishProficiencyProportions.set(state, proportion);
-    });
+    if (states.length) {
+        const epWidth = 960;
+        const epHeight = 600;
 
-    // Create red color scale: light red (#fee5d9) to dark red (#a50f15)
-    const proportions = Array.from(englishProficiencyProportions.values());
-    const epMinProp = Math.min(...proportions);
-    const epMaxProp = Math.max(...proportions);
+        const epSvg = d3.select("#english-proficiency-map-container")
+            .append("svg")
+            .attr("width", "100%")
+            .attr("viewBox", `0 0 ${epWidth} ${epHeight}`)
+            .attr("preserveAspectRatio", "xMidYMid meet");
+
+        const epPath = compositeStatePath(states, epWidth / 2, epHeight / 2, 850);
+        drawMapInsets(epSvg, epPath);
+
+        // Proportions: (less than very well / total population) * 100, recomputed for the population year
+        // (with their margin of error, the population estimate being treated as exact)
+        const englishProficiencyProportions = new Map();
+        const englishProficiencyMoe = new Map();
+        // Color scale (red ramp by default), classified as chosen in #ep-classes-select (appState.epClasses)
+        let epScheme = null;
+
+        // In change mode (appState.epMode) the map shows the change in speakers of English less than "very well"
+        // between the two compared vintages, in % of the first one. A vintage whose file has no such column
+        // leaves the map empty
+        const epChangeMode = () => inChangeMode(data, "epMode");
+        const lessVeryWellEstimates = indexes => [
+            new Map(Array.from(indexes.lessVeryWellByState, ([state, estimate]) => [state, estimate.value])),
+            new Map(Array.from(indexes.lessVeryWellByState, ([state, estimate]) => [state, estimate.moe]))
+        ];
+        const missingLessVeryWell = () => [changeVintages(data).from, changeVintages(data).to].find(v => !v.fields.includes("lessVeryWell"));
+        let epChanges = null;
+        const epChangePct = state => epChanges.has(state) ? epChanges.get(state).pctChange : null;
+
+        function computeEnglishProficiencyProportions() {
+            const population = data.populationFor(populationYear());
+            englishProficiencyProportions.clear();
+            englishProficiencyMoe.clear();
+            if (epChangeMode()) {
+                epChanges = missingLessVeryWell() ? new Map() : vintageChange(data, lessVeryWellEstimates, true);
+                epScheme = colorSchemes.diverging(Array.from(epChanges.values(), c => c.pctChange), colorSchemes.currentPalette().diverging);
+                return;
+            }
+            epChanges = null;
+            data.lessVeryWellByState.forEach(({ value: count, moe }, state) => {
+                const pop = population.get(state) || 1;
+                const proportion = (count / pop) * 100;
+                englishProficiencyProportions.set(state, proportion);
+                englishProficiencyMoe.set(state, (moe / pop) * 100);
+            });
 
-    const epColorScale = d3.scaleLinear()
-        .domain([epMinProp, epMaxProp])
-        .range(["#fee5d9", "#a50f15"]);
+            epScheme = colorSchemes.classify(Array.from(englishProficiencyProportions.values()), colorSchemes.classificationOf("epClasses"),
+                colorSchemes.currentPalette().sequential.english);
+        }
 
-    // Create tooltip for English Proficiency map
-    const epTooltip = d3.select("body").append("div")
-        .style("position", "absolute")
-        .style("padding", "8px 12px")
-        .style("background-color", "#333")
-        .style("color", "#fff")
-        .style("border-radius", "4px")
-        .style("pointer-events", "none")
-        .style("font-size", "12px")
-        .style("opacity", 0);
+        computeEnglishProficiencyProportions();
 
-    // Draw states on the English Proficiency map
-    epSvg.selectAll("path")
-        .data(states)
-        .enter()
-        .append("path")
-        .attr("d", epPath)
-        .attr("fill", d => {
-            const stateName = canonicalStateName(getStateName(d));
+        function englishProficiencyFill(d) {
+            const stateName = featureState(d);
+            if (epChanges) return epChangePct(stateName) != null ? epScheme.color(epChangePct(stateName)) : "#f0f0f0";
             const proportion = englishProficiencyProportions.get(stateName) || 0;
-            return proportion > 0 ? epColorScale(proportion) : "#f0f0f0";
-        })
-        .attr("stroke", "#999")
-        .attr("stroke-width", 0.75)
-        .on("mouseenter", function(event, d) {
-            const stateName = canonicalStateName(getStateName(d));
+            return proportion > 0 ? epScheme.color(proportion) : "#f0f0f0";
+        }
+
+        // Create tooltip for English Proficiency map
+        const epTooltip = d3.select("body").append("div")
+            .style("position", "absolute")
+            .style("padding", "8px 12px")
+            .style("background-color", "#333")
+            .style("color", "#fff")
+            .style("border-radius", "4px")
+            .style("pointer-events", "none")
+            .style("font-size", "12px")
+            .style("opacity", 0);
+
+        // "State: share (90% CI ...)" for the tooltip and the aria-label of a state
+        function englishProficiencyText(stateName) {
+            if (epChanges) {
+                if (!surveyedInChange(data, stateName)) return `${stateName}: not surveyed in both vintages`;
+                if (missingLessVeryWell()) return `${stateName}: no English proficiency figures in ${missingLessVeryWell().label}`;
+                const c = epChanges.get(stateName);
+                if (!c) return `${stateName}: not listed in either vintage`;
+                return `${stateName}: ${formatChange(c)} speakers of English less than "very well"` + (c.significant ? "" : " (within the margin of error)");
+            }
+            if (!data.hasSurveyData(stateName)) return `${stateName}: no survey data`;
             const proportion = englishProficiencyProportions.get(stateName) || 0;
-            epTooltip
-                .style("opacity", 1)
-                .text(`${stateName}: ${proportion.toFixed(2)}%`);
-            d3.select(this)
-                .attr("stroke", "#333")
-                .attr("stroke-width", 2);
-        })
-        .on("mousemove", function(event) {
-            epTooltip
-                .style("left", (event.pageX + 10) + "px")
-                .style("top", (event.pageY - 28) + "px");
-        })
-        .on("mouseleave", function() {
-            epTooltip.style("opacity", 0);
-            d3.select(this)
-                .attr("stroke", "#999")
-                .attr("stroke-width", 0.75);
+            return `${stateName}: ${formatEstimate(proportion, englishProficiencyMoe.get(stateName), v => v.toFixed(2) + "%")}`;
+        }
+
+        // Draw states on the English Proficiency map
+        epSvg.selectAll("path.state")
+            .data(states)
+            .enter()
+            .append("path")
+            .attr("class", "state")
+            .attr("d", epPath)
+            .attr("fill", englishProficiencyFill)
+            .attr("stroke", "#999")
+            .attr("stroke-width", 0.75)
+            .style("cursor", "pointer")
+            .on("mouseenter", function(event, d) {
+                const stateName = featureState(d);
+                const estimateOf = s => epChanges
+                    ? (epChanges.has(s) ? { value: epChanges.get(s).change, moe: epChanges.get(s).moe } : null)
+                    : (englishProficiencyProportions.has(s) ? { value: englishProficiencyProportions.get(s), moe: englishProficiencyMoe.get(s) } : null);
+                const comparison = comparisonText(stateName, estimateOf);
+                epTooltip
+                    .style("opacity", 1)
+                    .html(englishProficiencyText(stateName) +
+                        (comparison ? `<br/>${comparison}` : ""));
+                d3.select(this)
+                    .attr("stroke", "#333")
+                    .attr("stroke-width", 2);
+            })
+            .on("mousemove", function(event) {
+                positionTooltip(epTooltip, event, 10, -28);
+            })
+            .on("mouseleave", function() {
+                epTooltip.style("opacity", 0);
+                d3.select(this)
+                    .attr("stroke", "#999")
+                    .attr("stroke-width", 0.75);
+            })
+            .on("click", function(event, d) {
+                selectMapState(data, d);
+            });
+
+        markNoSurveyData(epSvg.selectAll("path.state"), data);
+        highlightSelectedState(epSvg.selectAll("path.state"));
+        appState.on("state", () => highlightSelectedState(epSvg.selectAll("path.state")));
+        scopeMapJurisdictions(epSvg);
+
+        // Add legend for English Proficiency map (redrawn when the population year changes)
+        function addEnglishProficiencyLegend() {
+            const legendWidth = 180;
+            const legendHeight = 12;
+            const legendX = epWidth - legendWidth - 20;
+            const legendY = 520;
+
+            epSvg.selectAll('.ep-legend').remove();
+            const legend = epSvg.append('g').attr('class', 'ep-legend');
+
+            // Title
+            legend.append('text')
+                .attr('x', legendX)
+                .attr('y', legendY - 30)
+                .attr('font-size', 12)
+                .attr('font-weight', 'bold')
+                .text(epChanges ? 'English < "Very Well" (% change)' : 'English < "Very Well" (%)');
+
+            const missing = epChanges && missingLessVeryWell();
+            legend.append('text')
+                .attr('x', legendX)
+                .attr('y', legendY - 15)
+                .attr('font-size', 11)
+                .text(missing ? `No English proficiency figures in ${missing.label}`
+                    : (epChanges ? changeVintages(data).label : `of the ${data.yearLabel(populationYear())} population`));
+            if (missing) return;
+
+            // Gradient or stepped bar, with its axis
+            colorSchemes.drawLegendBar(legend.append('g').attr('transform', `translate(${legendX},${legendY})`), epScheme, {
+                width: legendWidth,
+                height: legendHeight,
+                tickFormat: epChanges ? d3.format('+.0f') : d3.format('.1f'),
+                gradientId: 'ep-legend-gradient'
+            });
+        }
+
+        addEnglishProficiencyLegend();
+
+        chartExport.register({
+            container: "#english-proficiency-map-container",
+            name: "english-proficiency-map",
+            rows: () => epChanges
+                ? Array.from(epChanges, ([state, c]) => Object.assign({ State: state }, changeColumns(data, c)))
+                : Array.from(englishProficiencyProportions, ([state, value]) => ({
+                    State: state,
+                    "Speak English less than very well (%)": value,
+                    "MOE (pp)": englishProficiencyMoe.get(state)
+                }))
+        });
+        chartA11y.register({
+            container: "#english-proficiency-map-container",
+            title: () => epChanges ? `Map of the change in speakers of English less than "very well", ${changeVintages(data).label}`
+                : 'Map of the share speaking English less than "very well"',
+            marks: "path.state",
+            markName: "states",
+            label: d => englishProficiencyText(featureState(d)) + (featureState(d) === appState.get("state") ? ", selected" : ""),
+            selectable: true
         });
 
-    // Add legend for English Proficiency map
-    (function addEnglishProficiencyLegend() {
-        const legendWidth = 180;
-        const legendHeight = 12;
-        const legendX = epWidth - legendWidth - 20;
-        const legendY = 520;
-
-        const defs = epSvg.append('defs');
-        const lg = defs.append('linearGradient').attr('id', 'ep-legend-gradient');
-        lg.append('stop').attr('offset', '0%').attr('stop-color', epColorScale(epMinProp));
-        lg.append('stop').attr('offset', '100%').attr('stop-color', epColorScale(epMaxProp));
-
-        // Title
-        epSvg.append('text')
-            .attr('x', legendX)
-            .attr('y', legendY - 15)
-            .attr('font-size', 12)
-            .attr('font-weight', 'bold')
-            .text('English < "Very Well" (%)');
-
-        // Gradient bar
-        epSvg.append('rect')
-            .attr('x', legendX)
-            .attr('y', legendY)
-            .attr('width', legendWidth)
-            .attr('height', legendHeight)
-            .attr('fill', 'url(#ep-legend-gradient)');
-
-        // Legend axis
-        const epLegendScale = d3.scaleLinear()
-            .domain([epMinProp, epMaxProp])
-            .range([0, legendWidth]);
-
-        const epLegendAxis = d3.axisBottom(epLegendScale)
-            .ticks(4)
-            .tickFormat(d3.format('.1f'));
-
-        epSvg.append('g')
-            .attr('transform', `translate(${legendX},${legendY + legendHeight})`)
-            .call(epLegendAxis)
-            .selectAll('text')
-            .attr('font-size', 10);
-    })();
+        function updateEnglishProficiencyMap() {
+            epModeSelect.property("value", epChangeMode() ? "change" : "share");
+            computeEnglishProficiencyProportions();
+            epSvg.selectAll("path.state")
+                .transition()
+                .duration(transitionDuration())
+                .attr("fill", englishProficiencyFill);
+            addEnglishProficiencyLegend();
+        }
+
+        const epModeSelect = d3.select("#ep-mode-select")
+            .property("value", epChangeMode() ? "change" : "share")
+            .on("change", function() {
+                appState.set("epMode", this.value === "change" ? "change" : null);
+            });
+
+        bindClassificationSelect("#ep-classes-select", "epClasses");
+        appState.on("epMode", updateEnglishProficiencyMap);
+        appState.on("changeFrom", updateEnglishProficiencyMap);
+        appState.on("changeTo", updateEnglishProficiencyMap);
+        appState.on("year", updateEnglishProficiencyMap);
+        appState.on("epClasses", updateEnglishProficiencyMap);
+        appState.on("palette", updateEnglishProficiencyMap);
+        appState.on("includeNonStates", () => {
+            scopeMapJurisdictions(epSvg);
+            updateEnglishProficiencyMap();
+        });
+    }
 
     // ===========================
     // English Proficiency Histogram
@@ -1048,91 +2517,90 @@ Promise.all([
         .attr("class", "histogram-tooltip")
         .style("opacity", 0);
     
-    // Aggregate "Speak English less than Very Well" by state
-    const englishLessVeryWellByState = new Map();
-    const englishErrorByState = new Map();
-    
-    languageData.forEach(d => {
-        const stateKey = canonicalStateName(d.State);
-        const value = parseSpeakers(d["Speak English less than \"Very Well\""] || d['Speak English less than "Very Well"']) || 0;
-        const error = parseSpeakers(d["Margin of Error (Speak English Less than Very Well)"]) || 0;
-        
-        if (value > 0) {
-            const currentVal = englishLessVeryWellByState.get(stateKey) || 0;
-            const currentErr = englishErrorByState.get(stateKey) || [];
-            
-            englishLessVeryWellByState.set(stateKey, currentVal + value);
-            currentErr.push(error);
-            englishErrorByState.set(stateKey, currentErr);
-        }
-    });
-    
-    // Compute RMS (root mean square) of errors per state
-    const englishErrorRMSByState = new Map();
-    englishErrorByState.forEach((errors, state) => {
-        const sumSquares = errors.reduce((s, e) => s + e * e, 0);
-        const rms = Math.sqrt(sumSquares);
-        englishErrorRMSByState.set(state, rms);
-    });
-    
-    // Calculate nationwide totals
-    let nationwideLessVeryWell = 0;
-    let nationwideErrors = [];
-    languageData.forEach(d => {
-        const value = parseSpeakers(d["Speak English less than \"Very Well\""] || d['Speak English less than "Very Well"']) || 0;
-        const error = parseSpeakers(d["Margin of Error (Speak English Less than Very Well)"]) || 0;
-        nationwideLessVeryWell += value;
-        if (error > 0) nationwideErrors.push(error);
-    });
-    const nationwideErrorRMS = Math.sqrt(nationwideErrors.reduce((s, e) => s + e * e, 0));
-    
-    // Build histogram data: states ordered by value
-    let statesData = Array.from(englishLessVeryWellByState.entries()).map(([state, value]) => ({
-        name: state,
-        value: value,
-        error: englishErrorRMSByState.get(state) || 0,
-        isNationwide: false
-    }));
-    
-    // Sort by value descending and keep only top 15
-    statesData.sort((a, b) => b.value - a.value);
-    statesData = statesData.slice(0, 15);
-    
-    // Build histogram data with nationwide
-    let histogramData = statesData;
-    
-    // Add nationwide as first item (will be toggled)
-    histogramData.unshift({
-        name: 'Nationwide',
-        value: nationwideLessVeryWell,
-        error: nationwideErrorRMS,
-        isNationwide: true
-    });
+    // Full ranking kept so a selected state outside the top 15 can still be shown, and the
+    // nationwide bar followed by the top 15 (rebuilt when DC and Puerto Rico enter or leave the charts)
+    let allStatesData = [];
+    let histogramData = [];
+
+    function buildHistogramData() {
+        // States ordered by value (margins of error are combined by root-sum-of-squares in the data layer)
+        allStatesData = Array.from(data.lessVeryWellByState.entries())
+            .filter(([state, d]) => d.value > 0)
+            .map(([state, d]) => ({
+                name: state,
+                value: d.value,
+                error: d.moe,
+                isNationwide: false
+            }))
+            .sort((a, b) => b.value - a.value);
+
+        // Nationwide as first item (toggled by the checkbox), then the top 15
+        histogramData = [{
+            name: 'Nationwide',
+            value: data.nationwideLessVeryWell.value,
+            error: data.nationwideLessVeryWell.moe,
+            isNationwide: true
+        }].concat(allStatesData.slice(0, 15));
+    }
+
+    buildHistogramData();
     
-    // Render histogram
+    // Bars currently drawn (for the CSV export)
+    let histogramView = [];
+
+    // Render histogram (the svg and axes are created once; rows are joined by name and transitioned)
     function renderEnglishHistogram(includeNationwide = true) {
         // Filter data based on nationwide checkbox
         let data = includeNationwide ? histogramData : histogramData.filter(d => !d.isNationwide);
+
+        // The selected state is highlighted, and appended below the top 15 when it is not part of it
+        const selected = appState.get("state");
+        if (selected && !data.some(d => d.name === selected)) {
+            const extra = allStatesData.find(d => d.name === selected);
+            if (extra) data = data.concat([extra]);
+        }
+        histogramView = data;
         
-        // Clear previous
-        d3.select("#english-histogram-container").selectAll("svg").remove();
-        
-        const extraRightSpace = 100;
-        const hisWidth = 920 + extraRightSpace;
+        // The width follows the container; narrow screens get smaller margins for the names and values
+        const hisWidth = Math.max(320, chartWidth("#english-histogram-container", 1020));
+        const narrow = hisWidth < 600;
+        const extraRightSpace = narrow ? 40 : 100;
         const hisHeight = Math.max(400, data.length * 25 + 100);
         
-        const hisSvg = d3.select("#english-histogram-container")
-            .append("svg")
-            .attr("width", hisWidth)
-            .attr("height", hisHeight)
-            .style("border", "1px solid #ccc");
-        
-        const hisMargin = { top: 20, right: 40 + extraRightSpace, bottom: 50, left: 180 };
+        const hisMargin = { top: 20, right: 40 + extraRightSpace, bottom: 50, left: narrow ? 120 : 180 };
         const hisPlotWidth = hisWidth - hisMargin.left - hisMargin.right;
         const hisPlotHeight = hisHeight - hisMargin.top - hisMargin.bottom;
-        
-        const hisG = hisSvg.append("g")
-            .attr("transform", `translate(${hisMargin.left},${hisMargin.top})`);
+
+        const hisSvg = d3.select("#english-histogram-container").selectAll("svg").data([0]).join(enter => {
+            const svgNew = enter.append("svg")
+                .attr("height", hisHeight)
+                .style("border", "1px solid #ccc");
+            const gNew = svgNew.append("g")
+                .attr("class", "his-plot");
+            gNew.append("g").attr("class", "his-rows");
+            gNew.append("g")
+                .attr("class", "his-x-axis")
+                .attr("transform", `translate(0,${hisPlotHeight})`)
+                .append("text")
+                .attr("class", "his-x-label")
+                .attr("y", 40)
+                .attr("fill", "black")
+                .attr("font-size", 12)
+                .text("Number of People");
+            gNew.append("g").attr("class", "his-y-axis");
+            return svgNew;
+        });
+        const hisG = hisSvg.select(".his-plot");
+        const t = hisSvg.transition().duration(transitionDuration());
+
+        // Width and margins follow the container (set at once: a resize is not animated)
+        hisSvg.attr("width", hisWidth);
+        hisG.attr("transform", `translate(${hisMargin.left},${hisMargin.top})`);
+        hisG.select(".his-x-label").attr("x", hisPlotWidth / 2);
+
+        // The height follows the number of rows (the selected state can add one)
+        hisSvg.transition(t).attr("height", hisHeight);
+        hisG.select(".his-x-axis").transition(t).attr("transform", `translate(0,${hisPlotHeight})`);
         
         // Scales
         const hisXScale = d3.scaleLinear()
@@ -1144,53 +2612,84 @@ Promise.all([
             .range([0, hisPlotHeight])
             .padding(0.4);
         
-        // Color: red for nationwide, blue for states
-        const hisColor = d => d.isNationwide ? "#d62728" : "#1f77b4";
-        
+        // Color: red for nationwide, orange for the selected state, blue for other states
+        const hisColor = d => d.isNationwide ? "#d62728" : (d.name === selected ? "#ff7f0e" : "#1f77b4");
+
+        // One group per area: bar, error bar with its caps, value label
+        const rows = hisG.select(".his-rows").selectAll(".his-row")
+            .data(data, d => d.name)
+            .join(
+                enter => {
+                    const row = enter.append("g")
+                        .attr("class", "his-row")
+                        .attr("opacity", 0);
+                    row.append("rect")
+                        .attr("class", "bar")
+                        .attr("x", 0)
+                        .attr("y", d => hisYScale(d.name))
+                        .attr("width", 0)
+                        .attr("height", hisYScale.bandwidth())
+                        .attr("fill", hisColor)
+                        .style("opacity", 0.8)
+                        .style("cursor", "pointer")
+                        .on("mouseover", function(event, d) {
+                            d3.select(this).style("opacity", 1);
+                            hisG.selectAll(".bar-label")
+                                .filter(label => label.name === d.name)
+                                .style("opacity", 1);
+                            const comparison = d.isNationwide ? "" : comparisonText(d.name, name => {
+                                const found = allStatesData.find(s => s.name === name);
+                                return found ? { value: found.value, moe: found.error } : null;
+                            });
+                            histogramTooltip
+                                .style("opacity", 1)
+                                .html(`${d.name}: ${formatEstimate(d.value, d.error)}` + (comparison ? `<br/>${comparison}` : ""));
+                        })
+                        .on("mousemove", function(event) {
+                            positionTooltip(histogramTooltip, event, 10, -28);
+                        })
+                        .on("mouseout", function() {
+                            d3.select(this).style("opacity", 0.8);
+                            hisG.selectAll(".bar-label").style("opacity", 0);
+                            histogramTooltip.style("opacity", 0);
+                        })
+                        .on("click", function(event, d) {
+                            // the nationwide bar clears the selection
+                            if (d.isNationwide) appState.set("state", null);
+                            else toggleSelectedState(d.name);
+                        })
+                        // Native tooltip fallback (its text is set on every render)
+                        .append("title");
+                    row.append("line").attr("class", "error-bar");
+                    row.append("line").attr("class", "error-bar-cap-left");
+                    row.append("line").attr("class", "error-bar-cap-right");
+                    row.append("text")
+                        .attr("class", "bar-label")
+                        .attr("dy", "0.35em")
+                        .attr("font-size", 11)
+                        .style("opacity", 0)
+                        .style("pointer-events", "none");
+                    return row;
+                },
+                update => update,
+                exit => exit.transition(t).attr("opacity", 0).remove()
+            );
+        rows.transition(t).attr("opacity", 1);
+        rows.select(".bar title").text(d => `${d.name}: ${formatEstimate(d.value, d.error)}`);
+
         // Draw bars
-        hisG.selectAll(".bar")
-            .data(data)
-            .join("rect")
-            .attr("class", "bar")
-            .attr("x", 0)
+        rows.select(".bar")
+            .transition(t)
             .attr("y", d => hisYScale(d.name))
             .attr("width", d => hisXScale(d.value))
             .attr("height", hisYScale.bandwidth())
-            .attr("fill", hisColor)
-            .style("opacity", 0.8)
-            .style("cursor", "pointer")
-            .on("mouseover", function(event, d) {
-                d3.select(this).style("opacity", 1);
-                hisG.selectAll(".bar-label")
-                    .filter(label => label.name === d.name)
-                    .style("opacity", 1);
-                histogramTooltip
-                    .style("opacity", 1)
-                    .text(`${d.name}: ${d.value.toLocaleString()}`);
-            })
-            .on("mousemove", function(event) {
-                const bounds = histogramContainer.node().getBoundingClientRect();
-                histogramTooltip
-                    .style("left", (event.clientX - bounds.left + 10) + "px")
-                    .style("top", (event.clientY - bounds.top - 28) + "px");
-            })
-            .on("mouseout", function() {
-                d3.select(this).style("opacity", 0.8);
-                hisG.selectAll(".bar-label").style("opacity", 0);
-                histogramTooltip.style("opacity", 0);
-            });
+            .attr("fill", hisColor);
 
-        // Native tooltip fallback
-        hisG.selectAll(".bar")
-            .append("title")
-            .text(d => `${d.name}: ${d.value.toLocaleString()}`);
-        
-        // Draw error bars
-        hisG.selectAll(".error-bar")
-            .data(data)
-            .join("g")
-            .attr("class", "error-bar")
-            .append("line")
+        // Draw error bars (a line at the estimate, caps at the interval bounds)
+        const capY1 = d => hisYScale(d.name) + hisYScale.bandwidth() / 4;
+        const capY2 = d => hisYScale(d.name) + hisYScale.bandwidth() * 3 / 4;
+        rows.select(".error-bar")
+            .transition(t)
             .attr("x1", d => hisXScale(d.value))
             .attr("x2", d => hisXScale(d.value))
             .attr("y1", d => hisYScale(d.name))
@@ -1198,101 +2697,96 @@ Promise.all([
             .attr("stroke", d => hisColor(d))
             .attr("stroke-width", 1.5);
         
-        // Error bar caps
-        hisG.selectAll(".error-bar-cap-left")
-            .data(data)
-            .join("line")
-            .attr("class", "error-bar-cap-left")
+        rows.select(".error-bar-cap-left")
+            .transition(t)
             .attr("x1", d => hisXScale(Math.max(0, d.value - d.error)))
             .attr("x2", d => hisXScale(Math.max(0, d.value - d.error)))
-            .attr("y1", d => hisYScale(d.name) + hisYScale.bandwidth() / 4)
-            .attr("y2", d => hisYScale(d.name) + hisYScale.bandwidth() * 3 / 4)
+            .attr("y1", capY1)
+            .attr("y2", capY2)
             .attr("stroke", d => hisColor(d))
             .attr("stroke-width", 1.5);
         
-        hisG.selectAll(".error-bar-cap-right")
-            .data(data)
-            .join("line")
-            .attr("class", "error-bar-cap-right")
+        rows.select(".error-bar-cap-right")
+            .transition(t)
             .attr("x1", d => hisXScale(d.value + d.error))
             .attr("x2", d => hisXScale(d.value + d.error))
-            .attr("y1", d => hisYScale(d.name) + hisYScale.bandwidth() / 4)
-            .attr("y2", d => hisYScale(d.name) + hisYScale.bandwidth() * 3 / 4)
+            .attr("y1", capY1)
+            .attr("y2", capY2)
             .attr("stroke", d => hisColor(d))
             .attr("stroke-width", 1.5);
         
         // Draw value labels
-        hisG.selectAll(".bar-label")
-            .data(data)
-            .join("text")
-            .attr("class", "bar-label")
+        rows.select(".bar-label")
+            .text(d => d.value.toLocaleString())
+            .transition(t)
             .attr("x", d => hisXScale(d.value) + 5)
-            .attr("y", d => hisYScale(d.name) + hisYScale.bandwidth() / 2)
-            .attr("dy", "0.35em")
-            .attr("font-size", 11)
-            .style("opacity", 0)
-            .style("pointer-events", "none")
-            .text(d => d.value.toLocaleString());
+            .attr("y", d => hisYScale(d.name) + hisYScale.bandwidth() / 2);
         
         // X-axis
-        hisG.append("g")
-            .attr("transform", `translate(0,${hisPlotHeight})`)
-            .call(d3.axisBottom(hisXScale).tickFormat(d3.format("~s")))
-            .append("text")
-            .attr("x", hisPlotWidth / 2)
-            .attr("y", 40)
-            .attr("fill", "black")
-            .attr("font-size", 12)
-            .text("Number of People");
+        hisG.select(".his-x-axis")
+            .transition(t)
+            .call(d3.axisBottom(hisXScale).ticks(narrow ? 4 : 10).tickFormat(d3.format("~s")));
         
         // Y-axis
-        hisG.append("g")
+        hisG.select(".his-y-axis")
+            .transition(t)
             .call(d3.axisLeft(hisYScale));
     }
     
+    // Checkbox state lives in appState (histNationwide, unset = included)
+    function updateEnglishHistogram() {
+        const includeNationwide = appState.get("histNationwide") !== false;
+        d3.select("#histogram-nationwide-check").property("checked", includeNationwide);
+        renderEnglishHistogram(includeNationwide);
+    }
+
     // Initial render
-    renderEnglishHistogram(true);
+    updateEnglishHistogram();
+
+    chartExport.register({
+        container: "#english-histogram-container",
+        name: "english-less-than-very-well",
+        rows: () => histogramView.map(d => ({ Area: d.name, "Speak English less than very well": d.value, MOE: d.error }))
+    });
+    chartA11y.register({
+        container: "#english-histogram-container",
+        title: 'States with the most speakers of English less than "very well"',
+        marks: ".his-row rect.bar",
+        markName: "bars",
+        label: d => `${d.name}: ${formatEstimate(d.value, d.error)} speak English less than "very well"` +
+            (d.name === appState.get("state") ? ", selected" : ""),
+        navigation: "list",
+        selectable: true
+    });
     
     // Checkbox handler
     d3.select("#histogram-nationwide-check").on("change", function() {
-        const includeNationwide = this.checked;
-        renderEnglishHistogram(includeNationwide);
+        appState.set("histNationwide", this.checked);
     });
 
-    // Export key data/functions to window so other initialization blocks can access them
-    window.languageData = languageData;
-    window.states = states;
-    window.populationByState = populationByState;
-    window.canonicalStateName = canonicalStateName;
-    window.getStateName = getStateName;
+    appState.on("histNationwide", updateEnglishHistogram);
+    appState.on("includeNonStates", () => {
+        buildHistogramData();
+        updateEnglishHistogram();
+    });
+    appState.on("state", updateEnglishHistogram);
+    onContainerResize("#english-histogram-container", updateEnglishHistogram);
 
 }).catch(err => console.error("Error loading data:", err));
 
 // ===========================
 // Per-language choropleth map
 // ===========================
-// This block runs after the main Promise above — we attach behavior by wrapping in a short timeout
-// Setup language map once required globals exist
-(function setupLang(){
-    if (typeof window.languageData === 'undefined' || typeof window.states === 'undefined') {
-        setTimeout(setupLang, 100);
-        return;
-    }
+dataLayer.load().then(function setupLang(data) {
+    // Without geometry the container already shows the error panel
+    if (!data.states.length) return;
 
     try {
-        const languageData = window.languageData;
-        const states = window.states;
-        const populationByState = window.populationByState || new Map();
-        const canonicalStateName = window.canonicalStateName;
-        const getStateName = window.getStateName;
-
-        // Build language list
-        const languageSet = new Set(languageData.map(d => d.Language).filter(Boolean));
-        const languageList = Array.from(languageSet).sort((a,b) => a.localeCompare(b));
+        const { states } = data;
 
         // Populate datalist
         const dl = d3.select('#language-map-list');
-        dl.selectAll('option').data(languageList).join(
+        dl.selectAll('option').data(data.languageList).join(
             enter => enter.append('option').attr('value', d => d),
             update => update
         );
@@ -1308,158 +2802,373 @@ Promise.all([
             .style('font-size','12px')
             .style('opacity',0);
 
-        // render function
-        function renderLanguageMap(language) {
-            // clear container
-            d3.select('#language-map-container').selectAll('*').remove();
+        // States are hatched when the MOE of their speaker count exceeds this share of the estimate
+        // (appState.moeFlag: "10", "25", "50" or "off"; 50% by default)
+        const MOE_FLAGS = {
+            '10': 'above 10% of the estimate',
+            '25': 'above 25% of the estimate',
+            '50': 'above 50% of the estimate',
+            off: 'never (no hatching)'
+        };
+        const currentMoeFlag = () => MOE_FLAGS[appState.get('moeFlag')] ? appState.get('moeFlag') : '50';
 
-            const container = d3.select('#language-map-container');
-            const w = 960, h = 600;
-            const svgLang = container.append('svg')
-                .attr('width', '100%')
-                .attr('viewBox', `0 0 ${w} ${h}`)
-                .attr('preserveAspectRatio', 'xMidYMid meet');
+        const moeFlagSelect = d3.select('#moe-flag-select');
+        moeFlagSelect.selectAll('option')
+            .data(Object.keys(MOE_FLAGS))
+            .join('option')
+            .attr('value', d => d)
+            .text(d => MOE_FLAGS[d]);
+        moeFlagSelect.property('value', currentMoeFlag());
+        moeFlagSelect.on('change', function() {
+            appState.set('moeFlag', this.value === '50' ? null : this.value);
+        });
+
+        // States currently drawn for the chosen language (for the CSV export)
+        let languageMapRows = [];
+
+        // Estimates of the language on display, read by the tooltip (null on the blank base map)
+        let langView = null;
+
+        // The map is drawn once; choosing a language tweens the fills of the same state paths
+        const w = 960, h = 600;
+        const svgLang = d3.select('#language-map-container').append('svg')
+            .attr('width', '100%')
+            .attr('viewBox', `0 0 ${w} ${h}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const langPath = compositeStatePath(states, w / 2, h / 2, 850);
+
+        // Hatching (over a white wash that desaturates the fill) on states with an unreliable estimate
+        const defs = svgLang.append('defs');
+        const hatch = defs.append('pattern')
+            .attr('id', 'moe-hatch')
+            .attr('patternUnits', 'userSpaceOnUse')
+            .attr('width', 6)
+            .attr('height', 6)
+            .attr('patternTransform', 'rotate(45)');
+        hatch.append('rect').attr('width', 6).attr('height', 6).attr('fill', '#fff').attr('opacity', 0.5);
+        hatch.append('line').attr('x1', 0).attr('y1', 0).attr('x2', 0).attr('y2', 6).attr('stroke', '#555').attr('stroke-width', 1.5);
+
+        // Speakers, share and margin of error of the searched language in a state (tooltip and aria-label),
+        // or its speakers in both vintages and their change in change mode
+        function langStateFigures(name) {
+            if (langView.changes) {
+                if (!surveyedInChange(data, name)) return ['Not surveyed in both vintages'];
+                const c = langView.changes.get(name);
+                if (!c) return ['Not listed in either vintage'];
+                return [
+                    `${changeVintages(data).from.label}: ${formatEstimate(c.from, c.fromMoe)} speakers`,
+                    `${changeVintages(data).to.label}: ${formatEstimate(c.to, c.toMoe)} speakers`,
+                    `Change: ${formatChange(c)}` + (c.significant ? '' : ' (within the margin of error)')
+                ];
+            }
+            if (!data.hasSurveyData(name)) return ['No survey data'];
+            const { speakersByState, moeByState, relativeMoe, isUnreliable, shareEstimate } = langView;
+            const speakers = speakersByState.get(name) || 0;
+            const share = shareEstimate(name);
+            // rare languages are well below 0.01%: keep two significant digits for them
+            const pctFormat = v => (v >= 0.1 ? v.toFixed(2) : v.toPrecision(2)) + '%';
+            const pctText = share ? formatEstimate(share.value, share.moe, pctFormat) : 'N/A';
+            const figures = [
+                `${formatEstimate(speakers, moeByState.get(name))} speakers`,
+                `${pctText} of state`
+            ];
+            if (relativeMoe(name) != null) {
+                figures.push(`Margin of error: ${(relativeMoe(name) * 100).toFixed(0)}% of the estimate` + (isUnreliable(name) ? ' (unreliable)' : ''));
+            }
+            return figures;
+        }
+
+        // change of a state with its MOE, for the comparison with the selected state
+        const changeEstimate = name => {
+            const c = langView.changes.get(name);
+            return c ? { value: c.change, moe: c.moe } : null;
+        };
+
+        drawMapInsets(svgLang, langPath);
+        const statePaths = svgLang.append('g')
+            .selectAll('path.state')
+            .data(states)
+            .join('path')
+            .attr('class', 'state')
+            .attr('d', langPath)
+            .attr('fill', '#f0f0f0')
+            .attr('stroke', '#ccc')
+            .attr('stroke-width', 0.8)
+            .style('cursor', 'pointer')
+            .on('mouseenter', function(event, d) {
+                if (!langView) return;
+                const name = featureState(d);
+                const lines = [`<strong>${name}</strong>`].concat(langStateFigures(name));
+                const comparison = comparisonText(name, langView.changes ? changeEstimate : langView.shareEstimate);
+                if (comparison) lines.push(comparison);
+                langTooltip.style('opacity',1).html(lines.join('<br/>'));
+                d3.select(this).attr('stroke','#333').attr('stroke-width',2);
+            })
+            .on('mousemove', function(event) {
+                positionTooltip(langTooltip, event, 10, -28);
+            })
+            .on('mouseleave', function() {
+                langTooltip.style('opacity',0);
+                d3.select(this).attr('stroke', langView ? '#999' : '#ccc').attr('stroke-width',0.8);
+            })
+            .on('click', (event, d) => selectMapState(data, d));
+        markNoSurveyData(statePaths, data);
+        highlightSelectedState(statePaths);
+
+        const hatching = svgLang.append('g')
+            .attr('class', 'moe-hatching')
+            .style('pointer-events', 'none');
+
+        const emptyText = svgLang.append('text')
+            .attr('x', 20)
+            .attr('y', 28)
+            .attr('font-size', 14)
+            .attr('fill', '#333')
+            .text('No language selected');
+
+        // legend (inside a small box)
+        const legendW = 180, legendH = 12;
+        const pad = 10;
+        const lx = w - legendW - 40, ly = 20;
+
+        const legendGroup = svgLang.append('g').attr('transform', `translate(${lx - pad},${ly - pad})`);
+        // background box
+        const legendBox = legendGroup.append('rect')
+            .attr('x', 0)
+            .attr('y', 0)
+            .attr('width', legendW + pad*2)
+            .attr('rx', 6)
+            .attr('ry', 6)
+            .attr('fill', '#fff')
+            .attr('stroke', '#ddd')
+            .attr('opacity', 0.95);
+
+        // title
+        const legendTitle = legendGroup.append('text')
+            .attr('x', pad)
+            .attr('y', 16)
+            .attr('font-size', 12)
+            .attr('font-weight', 'bold');
+
+        const legendYear = legendGroup.append('text')
+            .attr('x', pad)
+            .attr('y', 30)
+            .attr('font-size', 10)
+            .attr('fill', '#555');
+
+        // gradient or stepped bar, with its axis
+        const legendBar = legendGroup.append('g')
+            .attr('transform', `translate(${pad},38)`);
+
+        const legendMoe = legendGroup.append('g');
+        legendMoe.append('rect')
+            .attr('x', pad)
+            .attr('y', 76)
+            .attr('width', 16)
+            .attr('height', 10)
+            .attr('fill', 'url(#moe-hatch)')
+            .attr('stroke', '#999');
+        const legendMoeText = legendMoe.append('text')
+            .attr('x', pad + 22)
+            .attr('y', 85)
+            .attr('font-size', 10)
+            .attr('fill', '#555');
+
+        function updateLangLegend(language, year, langScheme, moeFlag, changeMode) {
+            legendBox.attr('height', legendH + (moeFlag === 'off' ? 58 : 80));
+            legendTitle.text(changeMode ? `${language} (% change)` : `${language} (% of state)`);
+            legendYear.text(changeMode ? changeVintages(data).label : `${data.yearLabel(year)} population`);
+            colorSchemes.drawLegendBar(legendBar, langScheme, {
+                width: legendW,
+                height: legendH,
+                tickFormat: changeMode ? d3.format('+.0f') : d3.format('.2f'),
+                gradientId: 'lang-legend-gradient'
+            });
+
+            legendMoe.style('display', moeFlag === 'off' ? 'none' : null);
+            legendMoeText.text(changeMode ? 'Change within its margin of error' : `Margin of error > ${moeFlag}% of estimate`);
+        }
+
+        // Change mode: every state colored by the change in speakers of the language between the two
+        // vintages (in % of the first), hatched when the change is within its margin of error
+        function renderLanguageChange(language, t) {
+            const moeFlag = currentMoeFlag();
+            const changes = vintageChange(data, indexes => [indexes.speakersByState(language), indexes.speakersMoeByState(language)], true);
+            const isUnclear = name => moeFlag !== 'off' && changes.has(name) && !changes.get(name).significant;
+            langView = { language: data.findLanguage(language) || language, changes };
+
+            languageMapRows = Array.from(changes, ([state, c]) => Object.assign({ State: state, Language: langView.language }, changeColumns(data, c)));
+
+            const pctOf = name => changes.has(name) ? changes.get(name).pctChange : null;
+            const changeScheme = colorSchemes.diverging(Array.from(changes.values(), c => c.pctChange),
+                colorSchemes.currentPalette().diverging);
 
-            const langProj = d3.geoAlbersUsa().translate([w/2,h/2]).scale(850);
-            const langPath = d3.geoPath().projection(langProj);
+            statePaths.transition(t)
+                .attr('fill', d => pctOf(featureState(d)) != null ? changeScheme.color(pctOf(featureState(d))) : '#f0f0f0')
+                .attr('stroke','#999');
+            drawHatching(states.filter(d => isUnclear(featureState(d))), t);
+
+            emptyText.style('display', 'none');
+            legendGroup.style('display', null);
+            updateLangLegend(langView.language, null, changeScheme, moeFlag, true);
+        }
+
+        // Hatch the given states (over the fills), fading the others out
+        function drawHatching(hatched, t) {
+            hatching.selectAll('path')
+                .data(hatched, d => featureState(d))
+                .join(
+                    enter => enter.append('path')
+                        .attr('d', langPath)
+                        .attr('fill', 'url(#moe-hatch)')
+                        .attr('opacity', 0),
+                    update => update,
+                    exit => exit.transition(t).attr('opacity', 0).remove()
+                )
+                .transition(t)
+                .attr('opacity', 1);
+        }
 
-            // If no language provided, draw blank base map and return
+        // render function
+        function renderLanguageMap(language) {
+            const t = svgLang.transition().duration(transitionDuration());
+            languageMapRows = [];
+
+            // If no language provided, fade back to the blank base map
             if (!language) {
-                svgLang.selectAll('path')
-                    .data(states)
-                    .enter().append('path')
-                    .attr('d', langPath)
+                langView = null;
+                statePaths.transition(t)
                     .attr('fill', '#f0f0f0')
-                    .attr('stroke', '#ccc')
-                    .attr('stroke-width', 0.8);
-
-                svgLang.append('text')
-                    .attr('x', 20)
-                    .attr('y', 28)
-                    .attr('font-size', 14)
-                    .attr('fill', '#333')
-                    .text('No language selected');
+                    .attr('stroke', '#ccc');
+                hatching.selectAll('path').transition(t).attr('opacity', 0).remove();
+                legendGroup.style('display', 'none');
+                emptyText.style('display', null);
+                return;
+            }
 
+            if (inChangeMode(data, 'langMode')) {
+                renderLanguageChange(language, t);
                 return;
             }
 
-            // aggregate speakers of the chosen language by state
-            const speakersByState = new Map();
-            languageData.forEach(d => {
-                if (!d.Language) return;
-                if (d.Language.toLowerCase() !== language.toLowerCase()) return;
-                const state = canonicalStateName(d.State);
-                const v = d.Speakers || 0;
-                speakersByState.set(state, (speakersByState.get(state) || 0) + v);
-            });
+            // speakers of the chosen language by state (case-insensitive match), with their MOE
+            const speakersByState = data.speakersByState(language);
+            const moeByState = data.speakersMoeByState(language);
+            const moeFlag = currentMoeFlag();
+            const relativeMoe = name => speakersByState.get(name) > 0 ? (moeByState.get(name) || 0) / speakersByState.get(name) : null;
+            const isUnreliable = name => moeFlag !== 'off' && relativeMoe(name) > moeFlag / 100;
 
-            // compute percent by state (speakers / population *100)
+            // compute percent by state (speakers / population *100) for the chosen population year
+            const year = data.resolveYear(appState.get('year'));
+            const population = data.populationFor(year);
             const percentByState = new Map();
             speakersByState.forEach((val, state) => {
-                const pop = populationByState.get(state) || null;
+                const pop = population.get(state) || null;
                 const pct = pop ? (val / pop) * 100 : null;
                 percentByState.set(state, pct);
             });
+            // share with its MOE (the population estimate is treated as exact)
+            const shareEstimate = name => {
+                const pct = percentByState.get(name);
+                const pop = population.get(name);
+                return pct != null && !isNaN(pct) ? { value: pct, moe: ((moeByState.get(name) || 0) / pop) * 100 } : null;
+            };
+            langView = { language: data.findLanguage(language) || language, speakersByState, moeByState, relativeMoe, isUnreliable, shareEstimate };
+
+            languageMapRows = Array.from(speakersByState, ([state, speakers]) => {
+                const share = shareEstimate(state);
+                return {
+                    State: state,
+                    Language: langView.language,
+                    Speakers: speakers,
+                    "Speakers MOE": moeByState.get(state) || 0,
+                    "Share (%)": share ? share.value : "",
+                    "Share MOE (pp)": share ? share.moe : "",
+                    Unreliable: isUnreliable(state) ? "yes" : "no"
+                };
+            });
 
-            // domain for color: use percent values (ignore nulls)
-            const percents = Array.from(percentByState.values()).filter(v => v != null && !isNaN(v));
-            const minP = percents.length ? d3.min(percents) : 0;
-            const maxP = percents.length ? d3.max(percents) : 1;
-
-            const langColor = d3.scaleLinear()
-                .domain([minP, maxP])
-                .range(['#e5f5e0','#006d2c']);
+            // color scale over the percent values (nulls ignored), classified as chosen in #lang-classes-select
+            const langScheme = colorSchemes.classify(Array.from(percentByState.values()), colorSchemes.classificationOf('langClasses'),
+                colorSchemes.currentPalette().sequential.language);
 
-            // draw states
-            svgLang.selectAll('path')
-                .data(states)
-                .enter().append('path')
-                .attr('d', langPath)
+            // tween the states to their new fill
+            statePaths.transition(t)
                 .attr('fill', d => {
-                    const name = canonicalStateName(getStateName(d));
-                    const pct = percentByState.get(name);
-                    return (pct != null && !isNaN(pct)) ? langColor(pct) : '#f0f0f0';
-                })
-                .attr('stroke','#999')
-                .attr('stroke-width',0.8)
-                .on('mouseenter', function(event, d) {
-                    const name = canonicalStateName(getStateName(d));
-                    const speakers = speakersByState.get(name) || 0;
+                    const name = featureState(d);
                     const pct = percentByState.get(name);
-                    const pctText = (pct == null || isNaN(pct)) ? 'N/A' : pct.toFixed(2) + '%';
-                    langTooltip.style('opacity',1)
-                        .html(`<strong>${name}</strong><br/>${speakers.toLocaleString()} speakers<br/>${pctText} of state`);
-                    d3.select(this).attr('stroke','#333').attr('stroke-width',2);
+                    return (pct != null && !isNaN(pct)) ? langScheme.color(pct) : '#f0f0f0';
                 })
-                .on('mousemove', function(event) {
-                    langTooltip.style('left', (event.pageX + 10) + 'px').style('top', (event.pageY - 28) + 'px');
-                })
-                .on('mouseleave', function(event, d) {
-                    langTooltip.style('opacity',0);
-                    d3.select(this).attr('stroke','#999').attr('stroke-width',0.8);
-                });
+                .attr('stroke','#999');
+
+            drawHatching(states.filter(d => isUnreliable(featureState(d))), t);
 
-            // legend (inside a small box)
-            (function addLangLegend() {
-                const legendW = 180, legendH = 12;
-                const pad = 10;
-                const lx = w - legendW - 40, ly = 20;
-
-                const defs = svgLang.append('defs');
-                const lg = defs.append('linearGradient').attr('id','lang-legend-gradient');
-                lg.append('stop').attr('offset','0%').attr('stop-color', langColor(minP));
-                lg.append('stop').attr('offset','100%').attr('stop-color', langColor(maxP));
-
-                const group = svgLang.append('g').attr('transform', `translate(${lx - pad},${ly - pad})`);
-                // background box
-                group.append('rect')
-                    .attr('x', 0)
-                    .attr('y', 0)
-                    .attr('width', legendW + pad*2)
-                    .attr('height', legendH + 44)
-                    .attr('rx', 6)
-                    .attr('ry', 6)
-                    .attr('fill', '#fff')
-                    .attr('stroke', '#ddd')
-                    .attr('opacity', 0.95);
-
-                // title
-                group.append('text')
-                    .attr('x', pad)
-                    .attr('y', 16)
-                    .attr('font-size', 12)
-                    .attr('font-weight', 'bold')
-                    .text(`${language} (% of state)`);
-
-                // gradient bar
-                group.append('rect')
-                    .attr('x', pad)
-                    .attr('y', 24)
-                    .attr('width', legendW)
-                    .attr('height', legendH)
-                    .attr('fill', 'url(#lang-legend-gradient)');
-
-                const legendScale = d3.scaleLinear().domain([minP, maxP]).range([0, legendW]);
-                const legendAxis = d3.axisBottom(legendScale).ticks(4).tickFormat(d3.format('.2f'));
-                group.append('g')
-                    .attr('transform', `translate(${pad},${24 + legendH})`)
-                    .call(legendAxis)
-                    .selectAll('text').attr('font-size', 10);
-            })();
+            emptyText.style('display', 'none');
+            legendGroup.style('display', null);
+            updateLangLegend(langView.language, year, langScheme, moeFlag, false);
         }
 
-        // input handling
+        // input handling (the typed language is kept in appState.mapLanguage, once typing pauses)
         const input = d3.select('#language-map-search');
-        input.on('input', function() {
+        input.on('input', debounce(function() {
             const val = this.value && this.value.trim();
-            renderLanguageMap(val || null);
+            appState.set('mapLanguage', val || null);
+        }));
+
+        appState.on('mapLanguage', language => {
+            if (input.property('value').trim() !== (language || '')) input.property('value', language || '');
+            renderLanguageMap(language);
+        });
+        bindClassificationSelect('#lang-classes-select', 'langClasses');
+        const langModeSelect = d3.select('#lang-mode-select')
+            .property('value', inChangeMode(data, 'langMode') ? 'change' : 'share')
+            .on('change', function() {
+                appState.set('langMode', this.value === 'change' ? 'change' : null);
+            });
+        appState.on('langMode', () => {
+            langModeSelect.property('value', inChangeMode(data, 'langMode') ? 'change' : 'share');
+            renderLanguageMap(appState.get('mapLanguage'));
+        });
+        appState.on('changeFrom', () => renderLanguageMap(appState.get('mapLanguage')));
+        appState.on('changeTo', () => renderLanguageMap(appState.get('mapLanguage')));
+        appState.on('year', () => renderLanguageMap(appState.get('mapLanguage')));
+        appState.on('langClasses', () => renderLanguageMap(appState.get('mapLanguage')));
+        appState.on('palette', () => renderLanguageMap(appState.get('mapLanguage')));
+        appState.on('moeFlag', () => {
+            moeFlagSelect.property('value', currentMoeFlag());
+            renderLanguageMap(appState.get('mapLanguage'));
+        });
+        appState.on('includeNonStates', () => {
+            scopeMapJurisdictions(svgLang);
+            renderLanguageMap(appState.get('mapLanguage'));
+        });
+
+        // Render initially (base map unless a language was restored from the URL)
+        scopeMapJurisdictions(svgLang);
+        input.property('value', appState.get('mapLanguage') || '');
+        renderLanguageMap(appState.get('mapLanguage'));
+
+        chartExport.register({ container: '#language-map-container', name: 'language-map', rows: () => languageMapRows });
+        chartA11y.register({
+            container: '#language-map-container',
+            title: () => !langView ? 'Map of the states (no language searched)'
+                : (langView.changes ? `Map of the change in speakers of ${langView.language}, ${changeVintages(data).label}` : `Map of the speakers of ${langView.language}`),
+            marks: 'path.state',
+            markName: 'states',
+            label: d => {
+                const name = featureState(d);
+                const selected = name === appState.get('state') ? ', selected' : '';
+                if (langView || !data.hasSurveyData(name)) return `${name}: ${langView ? langStateFigures(name).join(', ') : 'no survey data'}${selected}`;
+                return name + selected;
+            },
+            selectable: true
         });
 
-        // Render base map initially
-        renderLanguageMap(null);
+        appState.on('state', () => highlightSelectedState(d3.select('#language-map-container').selectAll('path.state')));
 
     } catch (err) {
         console.error('Error setting up language search map:', err);
     }
 
-})();
+});
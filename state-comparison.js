@@ -0,0 +1,382 @@
+// ===========================
+// State comparison: top languages of two or more states side by side
+// ===========================
+// The compared states live in appState.compare as a comma-separated list ("California,Texas").
+// Two states are drawn as a butterfly chart, more as one dot per state on each language row.
+// Differences are given against the first state of the list.
+dataLayer.load().then(function setupStateComparison(data) {
+    try {
+        const MAX_LANGUAGES = 15;
+        // Colors of the compared states, from the categorical colors of the palette
+        const stateColor = d3.scaleOrdinal(colorSchemes.currentPalette().categorical);
+        const populationYear = () => data.resolveYear(appState.get('year'));
+        const formatPct = v => v.toFixed(2) + '%';
+
+        function comparedStates() {
+            const raw = appState.get('compare');
+            if (!raw) return [];
+            const states = raw.split(',').map(s => dataLayer.canonicalStateName(s)).filter(s => data.byState.has(s));
+            return Array.from(new Set(states));
+        }
+
+        function setComparedStates(states) {
+            appState.set('compare', states.length ? states.join(',') : null);
+        }
+
+        const addSelect = d3.select('#compare-add-select');
+        addSelect.on('change', function() {
+            if (this.value) setComparedStates(comparedStates().concat([this.value]));
+            this.value = '';
+        });
+
+        d3.select('#compare-english-check').on('change', function() {
+            appState.set('compareEnglish', this.checked);
+        });
+
+        function renderControls(states) {
+            addSelect.selectAll('option')
+                .data([''].concat(data.stateList.filter(s => data.byState.has(s) && !states.includes(s))))
+                .join('option')
+                .attr('value', d => d)
+                .text(d => d || 'Add a state…');
+            addSelect.property('value', '');
+
+            const chips = d3.select('#compare-chips').selectAll('.compare-chip')
+                .data(states, d => d)
+                .join(enter => {
+                    const chip = enter.append('span').attr('class', 'compare-chip');
+                    chip.append('span').attr('class', 'compare-chip-swatch');
+                    chip.append('span').attr('class', 'compare-chip-name');
+                    chip.append('button')
+                        .attr('type', 'button')
+                        .text('×')
+                        .on('click', (event, d) => setComparedStates(comparedStates().filter(s => s !== d)));
+                    return chip;
+                });
+            chips.select('.compare-chip-swatch').style('background', d => stateColor(d));
+            chips.select('.compare-chip-name').text(d => d);
+            chips.select('button').attr('aria-label', d => `Remove ${d} from the comparison`);
+
+            d3.select('#compare-english-check').property('checked', appState.get('compareEnglish') !== false);
+        }
+
+        // Speakers, MOE and share of the population of every language of a state
+        function languageShares(state, includeEnglish) {
+            const pop = data.populationOf(state, populationYear());
+            const totals = data.languageTotalsFor(state);
+            const moes = data.moeFor(state, 'language');
+            const shares = new Map();
+            totals.forEach((speakers, lang) => {
+                if (!(speakers > 0) || (!includeEnglish && lang === 'English')) return;
+                shares.set(lang, {
+                    speakers,
+                    value: pop ? (speakers / pop) * 100 : 0,
+                    moe: pop ? ((moes.get(lang) || 0) / pop) * 100 : 0
+                });
+            });
+            return shares;
+        }
+
+        // Languages to plot: the union of each state's top languages, by average share
+        function topLanguages(sharesByState) {
+            const candidates = new Set();
+            sharesByState.forEach(shares => {
+                Array.from(shares.entries())
+                    .sort((a, b) => b[1].value - a[1].value)
+                    .slice(0, MAX_LANGUAGES)
+                    .forEach(([lang]) => candidates.add(lang));
+            });
+            const share = (shares, lang) => shares.has(lang) ? shares.get(lang).value : 0;
+            return Array.from(candidates)
+                .map(lang => ({ lang, mean: d3.mean(Array.from(sharesByState.values()), shares => share(shares, lang)) }))
+                .sort((a, b) => b.mean - a.mean)
+                .slice(0, MAX_LANGUAGES)
+                .map(d => d.lang);
+        }
+
+        // Drawing width of the charts: the width of their container
+        const compareWidth = () => Math.max(320, chartWidth('#compare-chart-container', 920));
+
+        function shareTooltip(state, lang, estimate) {
+            if (!estimate) return `<strong>${state}</strong><br/>${lang}: not listed`;
+            return `<strong>${state}</strong><br/>${lang}: ${formatEstimate(estimate.value, estimate.moe, formatPct)} of the population` +
+                `<br/>${formatEstimate(estimate.speakers, estimate.moe * data.populationOf(state, populationYear()) / 100)} speakers`;
+        }
+
+        // Same figures on one line, for the aria-label of a bar or dot
+        function shareLabel(state, lang, estimate) {
+            if (!estimate) return `${state}, ${lang}: not listed`;
+            return `${state}, ${lang}: ${formatEstimate(estimate.value, estimate.moe, formatPct)} of the population`;
+        }
+
+        // Two states: bars of the first one to the left, of the second one to the right
+        function renderButterfly(svgCompare, states, sharesByState, languages) {
+            const [left, right] = states;
+            const w = compareWidth(), narrow = w < 600;
+            const rowHeight = 26, labelWidth = narrow ? 110 : 170, maxName = narrow ? 16 : 24;
+            const margin = {top: 40, right: narrow ? 36 : 60, bottom: 30, left: narrow ? 36 : 60};
+            const half = (w - margin.left - margin.right - labelWidth) / 2;
+            const innerH = languages.length * rowHeight;
+            svgCompare.attr('viewBox', `0 0 ${w} ${innerH + margin.top + margin.bottom}`);
+
+            const g = svgCompare.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+            const maxShare = d3.max(states, s => d3.max(languages, lang => sharesByState.get(s).has(lang) ? sharesByState.get(s).get(lang).value : 0)) || 1;
+            const x = d3.scaleLinear().domain([0, maxShare]).range([0, half]).nice();
+            const y = d3.scaleBand().domain(languages).range([0, innerH]).padding(0.2);
+            const sides = [
+                { state: left, x0: half, dir: -1 },
+                { state: right, x0: half + labelWidth, dir: 1 }
+            ];
+
+            sides.forEach(side => {
+                const shares = sharesByState.get(side.state);
+                const axis = side.dir < 0 ? d3.axisBottom(x.copy().range([half, 0])) : d3.axisBottom(x.copy().range([half + labelWidth, half * 2 + labelWidth]));
+                g.append('g')
+                    .attr('transform', `translate(0,${innerH})`)
+                    .call(axis.ticks(4).tickFormat(d => d + '%'));
+
+                g.append('text')
+                    .attr('x', side.dir < 0 ? half : half + labelWidth)
+                    .attr('y', -16)
+                    .attr('text-anchor', side.dir < 0 ? 'end' : 'start')
+                    .attr('font-size', 14)
+                    .attr('font-weight', 'bold')
+                    .attr('fill', stateColor(side.state))
+                    .text(side.state);
+
+                const bars = g.append('g').selectAll('g')
+                    .data(languages)
+                    .join('g')
+                    .attr('class', 'compare-mark')
+                    .attr('aria-label', lang => shareLabel(side.state, lang, shares.get(lang)))
+                    .on('mouseover', (event, lang) => showTooltip(event, shareTooltip(side.state, lang, shares.get(lang))))
+                    .on('mousemove', moveTooltip)
+                    .on('mouseout', hideTooltip);
+
+                const value = lang => shares.has(lang) ? shares.get(lang).value : 0;
+                bars.append('rect')
+                    .attr('x', lang => side.dir < 0 ? side.x0 - x(value(lang)) : side.x0)
+                    .attr('y', lang => y(lang))
+                    .attr('width', lang => x(value(lang)))
+                    .attr('height', y.bandwidth())
+                    .attr('fill', stateColor(side.state));
+
+                bars.append('text')
+                    .attr('class', 'bar-label')
+                    .attr('x', lang => side.x0 + side.dir * (x(value(lang)) + 4))
+                    .attr('y', lang => y(lang) + y.bandwidth() / 2 + 4)
+                    .attr('text-anchor', side.dir < 0 ? 'end' : 'start')
+                    .attr('font-size', 10)
+                    .text(lang => shares.has(lang) ? formatPct(value(lang)) : 'not listed');
+            });
+
+            g.append('g').selectAll('text')
+                .data(languages)
+                .join('text')
+                .attr('x', half + labelWidth / 2)
+                .attr('y', lang => y(lang) + y.bandwidth() / 2 + 4)
+                .attr('text-anchor', 'middle')
+                .attr('font-size', 12)
+                .text(lang => lang.length > maxName ? lang.slice(0, maxName - 1) + '…' : lang)
+                .append('title').text(lang => lang);
+        }
+
+        // Three states or more: one row per language, one dot per state
+        function renderDots(svgCompare, states, sharesByState, languages) {
+            const w = compareWidth(), narrow = w < 600;
+            const rowHeight = 26, maxName = narrow ? 16 : 26;
+            const margin = {top: 20, right: narrow ? 20 : 40, bottom: 40, left: narrow ? 120 : 190};
+            const innerW = w - margin.left - margin.right;
+            const innerH = languages.length * rowHeight;
+            svgCompare.attr('viewBox', `0 0 ${w} ${innerH + margin.top + margin.bottom}`);
+
+            const g = svgCompare.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+            const value = (state, lang) => sharesByState.get(state).has(lang) ? sharesByState.get(state).get(lang).value : 0;
+            const maxShare = d3.max(states, s => d3.max(languages, lang => value(s, lang))) || 1;
+            const x = d3.scaleLinear().domain([0, maxShare]).range([0, innerW]).nice();
+            const y = d3.scalePoint().domain(languages).range([0, innerH]).padding(0.5);
+
+            g.append('g').attr('transform', `translate(0,${innerH})`)
+                .call(d3.axisBottom(x).ticks(6).tickFormat(d => d + '%'));
+            g.append('g').call(d3.axisLeft(y).tickSize(0).tickFormat(d => d.length > maxName ? d.slice(0, maxName - 1) + '…' : d))
+                .selectAll('text').attr('font-size', 12);
+
+            const rows = g.append('g').selectAll('g')
+                .data(languages)
+                .join('g')
+                .attr('transform', lang => `translate(0,${y(lang)})`);
+
+            rows.append('line')
+                .attr('x1', lang => x(d3.min(states, s => value(s, lang))))
+                .attr('x2', lang => x(d3.max(states, s => value(s, lang))))
+                .attr('stroke', '#bbb')
+                .attr('stroke-width', 2);
+
+            rows.selectAll('circle')
+                .data(lang => states.map(state => ({ state, lang })))
+                .join('circle')
+                .attr('class', 'compare-mark')
+                .attr('aria-label', d => shareLabel(d.state, d.lang, sharesByState.get(d.state).get(d.lang)))
+                .attr('cx', d => x(value(d.state, d.lang)))
+                .attr('r', 6)
+                .attr('fill', d => stateColor(d.state))
+                .attr('stroke', '#fff')
+                .on('mouseover', (event, d) => showTooltip(event, shareTooltip(d.state, d.lang, sharesByState.get(d.state).get(d.lang))))
+                .on('mousemove', moveTooltip)
+                .on('mouseout', hideTooltip);
+        }
+
+        // Differences against the first state, languages found in a single state, similarity of the mixes
+        function renderDetails(states, sharesByState, languages, includeEnglish) {
+            const details = d3.select('#compare-details');
+            const [reference, ...others] = states;
+
+            details.append('h4').text(`Difference with ${reference} (percentage points)`);
+            const table = details.append('div').attr('class', 'compare-table-scroll').append('table');
+            table.append('thead').append('tr')
+                .selectAll('th')
+                .data(['Language'].concat(states.map(s => `${s} (%)`), others.map(s => `${s} − ${reference}`)))
+                .join('th')
+                .text(d => d);
+
+            const cells = lang => {
+                const ref = sharesByState.get(reference).get(lang) || { value: 0, moe: 0 };
+                return [{ text: lang }]
+                    .concat(states.map(s => {
+                        const est = sharesByState.get(s).get(lang);
+                        return { text: est ? formatEstimate(est.value, est.moe, formatPct) : 'not listed', numeric: true };
+                    }))
+                    .concat(others.map(s => {
+                        const est = sharesByState.get(s).get(lang) || { value: 0, moe: 0 };
+                        const diff = est.value - ref.value;
+                        const same = dataLayer.compareEstimates(est, ref) === 0;
+                        return {
+                            text: `${diff >= 0 ? '+' : '−'}${Math.abs(diff).toFixed(2)}` + (same ? ' ≈' : ''),
+                            numeric: true,
+                            title: same ? 'Statistically indistinguishable' : 'Significant difference',
+                            className: diff >= 0 ? 'compare-up' : 'compare-down'
+                        };
+                    }));
+            };
+            table.append('tbody').selectAll('tr')
+                .data(languages)
+                .join('tr')
+                .selectAll('td')
+                .data(cells)
+                .join('td')
+                .attr('class', d => [d.numeric ? 'numeric' : null, d.className || null].filter(Boolean).join(' ') || null)
+                .attr('title', d => d.title || null)
+                .text(d => d.text);
+            details.append('p').attr('class', 'compare-note')
+                .text(`≈ marks differences smaller than the combined ${dataLayer.MOE_CONFIDENCE} margin of error (statistically indistinguishable).`);
+
+            // Languages listed in one state and in none of the others
+            details.append('h4').text(states.length === 2 ? 'Languages listed in only one of the two states' : 'Languages listed in only one of the states');
+            const only = details.append('div').attr('class', 'compare-only');
+            states.forEach(state => {
+                const shares = sharesByState.get(state);
+                const exclusive = Array.from(shares.entries())
+                    .filter(([lang]) => states.every(s => s === state || !sharesByState.get(s).has(lang)))
+                    .sort((a, b) => b[1].speakers - a[1].speakers);
+                const box = only.append('div').attr('class', 'compare-only-box');
+                box.append('strong').style('color', stateColor(state)).text(`Only in ${state} (${exclusive.length})`);
+                box.append('p').text(exclusive.length
+                    ? exclusive.slice(0, 12).map(([lang, d]) => `${lang} (${Math.round(d.speakers).toLocaleString()})`).join(', ') +
+                        (exclusive.length > 12 ? `, and ${exclusive.length - 12} more` : '')
+                    : 'None');
+            });
+
+            // Similarity: share of the language mix the two states have in common
+            details.append('h4').text('Similarity of the language mixes' + (includeEnglish ? '' : ' (excluding English)'));
+            const mixOf = state => new Map(Array.from(sharesByState.get(state), ([lang, d]) => [lang, d.speakers]));
+            if (states.length === 2) {
+                const score = diversity.similarity(mixOf(states[0]), mixOf(states[1]));
+                details.append('p').attr('class', 'compare-similarity')
+                    .text(`${(score * 100).toFixed(1)}% of the two language mixes overlap`);
+            } else {
+                const matrix = details.append('div').attr('class', 'compare-table-scroll').append('table');
+                matrix.append('thead').append('tr').selectAll('th')
+                    .data([''].concat(states))
+                    .join('th')
+                    .text(d => d);
+                matrix.append('tbody').selectAll('tr')
+                    .data(states)
+                    .join('tr')
+                    .selectAll('td')
+                    .data(a => [{ text: a }].concat(states.map(b => ({
+                        text: a === b ? '—' : (diversity.similarity(mixOf(a), mixOf(b)) * 100).toFixed(1) + '%',
+                        numeric: true
+                    }))))
+                    .join('td')
+                    .attr('class', d => d.numeric ? 'numeric' : null)
+                    .text(d => d.text);
+            }
+            details.append('p').attr('class', 'compare-note')
+                .text('100% means both states speak exactly the same languages in the same proportions, 0% that they have no language in common.');
+        }
+
+        // Shares currently drawn (for the CSV export)
+        let comparisonRows = [];
+
+        function renderComparison() {
+            const states = comparedStates();
+            const includeEnglish = appState.get('compareEnglish') !== false;
+            renderControls(states);
+
+            const container = d3.select('#compare-chart-container');
+            container.selectAll('*').remove();
+            d3.select('#compare-details').selectAll('*').remove();
+            comparisonRows = [];
+
+            if (states.length < 2) {
+                container.append('p').attr('class', 'compare-empty')
+                    .text(states.length ? 'Add at least one more state to compare.' : 'Add two or more states to compare them.');
+                return;
+            }
+
+            const sharesByState = new Map(states.map(s => [s, languageShares(s, includeEnglish)]));
+            const languages = topLanguages(sharesByState);
+            comparisonRows = languages.flatMap(lang => states.map(state => {
+                const estimate = sharesByState.get(state).get(lang);
+                return {
+                    Language: lang,
+                    State: state,
+                    Speakers: estimate ? estimate.speakers : 0,
+                    'Share (%)': estimate ? estimate.value : 0,
+                    'Share MOE (pp)': estimate ? estimate.moe : ''
+                };
+            }));
+
+            container.append('div').attr('class', 'compare-caption')
+                .text(`Top languages by share of the ${data.yearLabel(populationYear())} population` + (includeEnglish ? '' : ' (excluding English)'));
+            const svgCompare = container.append('svg').attr('preserveAspectRatio', 'xMidYMid meet');
+            if (states.length === 2) renderButterfly(svgCompare, states, sharesByState, languages);
+            else renderDots(svgCompare, states, sharesByState, languages);
+
+            renderDetails(states, sharesByState, languages, includeEnglish);
+        }
+
+        renderComparison();
+
+        chartExport.register({ container: '#compare-chart-container', name: 'state-comparison', rows: () => comparisonRows });
+        chartA11y.register({
+            container: '#compare-chart-container',
+            title: () => `Language shares compared between ${comparedStates().join(', ')}`,
+            marks: '.compare-mark',
+            markName: 'shares',
+            navigation: 'list'
+        });
+
+        appState.on('compare', renderComparison);
+        appState.on('compareEnglish', renderComparison);
+        appState.on('year', renderComparison);
+        appState.on('includeNonStates', renderComparison);
+        onContainerResize('#compare-chart-container', renderComparison);
+        appState.on('palette', () => {
+            stateColor.range(colorSchemes.currentPalette().categorical);
+            renderComparison();
+        });
+    } catch (err) {
+        console.error('Error rendering state comparison:', err);
+    }
+});
@@ -0,0 +1,116 @@
+// Metrics of a state that the maps and charts can plot against each other.
+//
+// Every metric has a label, a format for its values and value(data, state, year), null when unknown;
+// survey estimates also have moe(data, state, year). Shares are percentages of the population of `year`.
+// languageShare(language) builds the same kind of metric for the speakers of one language (0 in a surveyed state
+// that does not list it).
+// correlation(xs, ys) gives the Pearson coefficient of two metrics over the states, linearFit(xs, ys) the
+// least-squares line.
+const stateMetrics = (function() {
+    function percentOf(data, value, state, year) {
+        const pop = data.populationOf(state, year);
+        return pop ? (value / pop) * 100 : null;
+    }
+
+    const formatPercent = v => v.toFixed(2) + '%';
+
+    const METRICS = {
+        languages: {
+            label: 'Number of distinct languages',
+            format: d3.format(',d'),
+            value: (data, state) => data.languageCountByState.get(state) || null
+        },
+        nonEnglish: {
+            label: 'Share speaking a language other than English',
+            format: formatPercent,
+            value: (data, state, year) => {
+                const totals = data.languageTotalsFor(state);
+                let nonEnglish = 0;
+                totals.forEach((v, lang) => { if (lang !== 'English') nonEnglish += v; });
+                return totals.size ? percentOf(data, nonEnglish, state, year) : null;
+            },
+            moe: (data, state, year) => percentOf(data,
+                dataLayer.combineMoe(data.rowsFor(state).filter(d => d.Language !== 'English').map(d => d.speakersMoe)), state, year)
+        },
+        limitedEnglish: {
+            label: 'Share speaking English less than "very well"',
+            format: formatPercent,
+            value: (data, state, year) => {
+                const lvw = data.lessVeryWellByState.get(state);
+                return lvw ? percentOf(data, lvw.value, state, year) : null;
+            },
+            moe: (data, state, year) => {
+                const lvw = data.lessVeryWellByState.get(state);
+                return lvw ? percentOf(data, lvw.moe, state, year) : null;
+            }
+        },
+        shannon: {
+            label: 'Shannon diversity index',
+            format: d3.format('.3f'),
+            value: (data, state) => data.byState.has(state) ? diversity.shannon(data.languageTotalsFor(state)) : null
+        },
+        simpson: {
+            label: 'Simpson diversity index',
+            format: d3.format('.3f'),
+            value: (data, state) => data.byState.has(state) ? diversity.simpson(data.languageTotalsFor(state)) : null
+        },
+        population: {
+            label: 'Population',
+            format: d3.format(',d'),
+            value: (data, state, year) => data.populationOf(state, year)
+        }
+    };
+
+    // Share of the population speaking `language` (a name of data.languageList)
+    function languageShare(language) {
+        return {
+            label: `Share speaking ${language}`,
+            format: formatPercent,
+            // a surveyed state that does not list the language has none of its speakers
+            value: (data, state, year) => {
+                const speakers = data.speakersByState(language).get(state);
+                if (speakers != null) return percentOf(data, speakers, state, year);
+                return data.hasSurveyData(state) ? 0 : null;
+            },
+            moe: (data, state, year) => {
+                const moe = data.speakersMoeByState(language).get(state);
+                return moe != null ? percentOf(data, moe, state, year) : null;
+            }
+        };
+    }
+
+    // Pearson correlation coefficient of two lists of the same length (null with fewer than 3 pairs
+    // or when one of them is constant)
+    function correlation(xs, ys) {
+        const n = xs.length;
+        if (n < 3 || ys.length !== n) return null;
+        const meanX = d3.mean(xs), meanY = d3.mean(ys);
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+            sxx += (xs[i] - meanX) ** 2;
+            syy += (ys[i] - meanY) ** 2;
+        }
+        return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+    }
+
+    // Least-squares line y = intercept + slope * x, with the correlation r and the coefficient of determination r2
+    // (null in the same cases as correlation)
+    function linearFit(xs, ys) {
+        const r = correlation(xs, ys);
+        if (r == null) return null;
+        const meanX = d3.mean(xs), meanY = d3.mean(ys);
+        const slope = r * d3.deviation(ys) / d3.deviation(xs);
+        return { slope, intercept: meanY - slope * meanX, r, r2: r * r };
+    }
+
+    // Plain-language strength of a correlation coefficient
+    function describeCorrelation(r) {
+        if (r == null) return 'not defined';
+        const size = Math.abs(r);
+        const strength = size >= 0.7 ? 'strong' : size >= 0.4 ? 'moderate' : size >= 0.2 ? 'weak' : 'no clear';
+        return size < 0.2 ? 'no clear correlation' : `${strength} ${r > 0 ? 'positive' : 'negative'} correlation`;
+    }
+
+    return { METRICS, percentOf, languageShare, correlation, linearFit, describeCorrelation };
+})();
@@ -0,0 +1,217 @@
+// ===========================
+// State scatterplot: any state metric against another, with a least-squares fit
+// ===========================
+// The axes are picked in #scatter-x-select / #scatter-y-select (appState.scatterX / scatterY) among
+// stateMetrics.METRICS, plus the share of one language chosen in #scatter-language-input (appState.scatterLanguage).
+// Every state is a point labelled with its abbreviation; clicking it selects the state on the whole page.
+dataLayer.load().then(function setupStateScatter(data) {
+    try {
+        const DEFAULT_X = 'languages';
+        const DEFAULT_Y = 'limitedEnglish';
+        const DEFAULT_LANGUAGE = data.findLanguage('Spanish') || data.languageList[0];
+        // Axis option standing for the share of the chosen language
+        const LANGUAGE_SHARE = 'languageShare';
+        const AXIS_OPTIONS = Object.keys(stateMetrics.METRICS).concat([LANGUAGE_SHARE]);
+
+        const nameToAbbrev = new Map(Object.entries(dataLayer.abbrevToName).map(([abbrev, name]) => [name, abbrev]));
+        const populationYear = () => data.resolveYear(appState.get('year'));
+        const currentLanguage = () => data.findLanguage(appState.get('scatterLanguage')) || DEFAULT_LANGUAGE;
+        const axisKey = (key, fallback) => AXIS_OPTIONS.includes(appState.get(key)) ? appState.get(key) : fallback;
+        const metricFor = key => key === LANGUAGE_SHARE ? stateMetrics.languageShare(currentLanguage()) : stateMetrics.METRICS[key];
+
+        function bindAxisSelect(selector, key, fallback) {
+            const select = d3.select(selector);
+            select.selectAll('option')
+                .data(AXIS_OPTIONS)
+                .join('option')
+                .attr('value', d => d)
+                .text(d => d === LANGUAGE_SHARE ? 'Share speaking the chosen language' : stateMetrics.METRICS[d].label);
+            select.on('change', function() {
+                appState.set(key, this.value === fallback ? null : this.value);
+            });
+            return select;
+        }
+        const xSelect = bindAxisSelect('#scatter-x-select', 'scatterX', DEFAULT_X);
+        const ySelect = bindAxisSelect('#scatter-y-select', 'scatterY', DEFAULT_Y);
+
+        d3.select('#scatter-language-list').selectAll('option')
+            .data(data.languageList)
+            .join('option')
+            .attr('value', d => d);
+        const languageInput = d3.select('#scatter-language-input')
+            .on('change', function() {
+                const language = data.findLanguage(this.value);
+                if (language) appState.set('scatterLanguage', language === DEFAULT_LANGUAGE ? null : language);
+                else this.value = currentLanguage();
+            });
+
+        // The width follows the container (see renderStateScatter); the height is fixed
+        const h = 520, margin = {top: 40, right: 30, bottom: 50, left: 80};
+        const innerH = h - margin.top - margin.bottom;
+
+        const svgScatter = d3.select('#state-scatter-container').append('svg')
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        // The fit line is clipped to the plot area
+        const clipRect = svgScatter.append('defs').append('clipPath')
+            .attr('id', 'state-scatter-clip')
+            .append('rect')
+            .attr('height', innerH);
+
+        const fitText = svgScatter.append('text')
+            .attr('class', 'scatter-fit-text')
+            .attr('x', margin.left)
+            .attr('y', 20);
+
+        const g = svgScatter.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+        const xAxisG = g.append('g').attr('transform', `translate(0,${innerH})`);
+        const yAxisG = g.append('g');
+        const xAxisLabel = xAxisG.append('text')
+            .attr('y', 40)
+            .attr('fill', '#000')
+            .attr('text-anchor', 'middle');
+        const yAxisLabel = yAxisG.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -innerH / 2)
+            .attr('y', -62)
+            .attr('fill', '#000')
+            .attr('text-anchor', 'middle');
+        const fitLine = g.append('line')
+            .attr('class', 'scatter-fit')
+            .attr('clip-path', 'url(#state-scatter-clip)');
+        const pointsG = g.append('g');
+
+        // Both values of a state with their confidence intervals (lines of the tooltip, parts of the aria-label)
+        function pointFigures(d) {
+            const X = metricFor(axisKey('scatterX', DEFAULT_X));
+            const Y = metricFor(axisKey('scatterY', DEFAULT_Y));
+            const year = populationYear();
+            const line = (metric, value) =>
+                `${metric.label}: ${formatEstimate(value, metric.moe ? metric.moe(data, d.state, year) : null, metric.format)}`;
+            return [line(X, d.x), line(Y, d.y)];
+        }
+
+        const tooltipHtml = d => [`<strong>${d.state}</strong>`].concat(pointFigures(d)).join('<br/>');
+
+        // Points of the current axes (states where both metrics are known)
+        let scatterItems = [];
+
+        function renderStateScatter() {
+            const xKey = axisKey('scatterX', DEFAULT_X);
+            const yKey = axisKey('scatterY', DEFAULT_Y);
+            xSelect.property('value', xKey);
+            ySelect.property('value', yKey);
+            languageInput.property('value', currentLanguage())
+                .property('disabled', xKey !== LANGUAGE_SHARE && yKey !== LANGUAGE_SHARE);
+
+            const X = metricFor(xKey);
+            const Y = metricFor(yKey);
+            const year = populationYear();
+            scatterItems = data.stateList
+                .map(state => ({ state, x: X.value(data, state, year), y: Y.value(data, state, year) }))
+                .filter(d => d.x != null && !isNaN(d.x) && d.y != null && !isNaN(d.y));
+
+            // Width set at once: a resize is not animated
+            const w = Math.max(320, chartWidth('#state-scatter-container', 920));
+            const innerW = w - margin.left - margin.right;
+            svgScatter.attr('viewBox', `0 0 ${w} ${h}`);
+            clipRect.attr('width', innerW);
+            xAxisLabel.attr('x', innerW / 2);
+
+            const x = d3.scaleLinear().domain(d3.extent(scatterItems, d => d.x)).range([0, innerW]).nice();
+            const y = d3.scaleLinear().domain(d3.extent(scatterItems, d => d.y)).range([innerH, 0]).nice();
+            const t = svgScatter.transition().duration(transitionDuration());
+
+            xAxisG.transition(t).call(d3.axisBottom(x).ticks(w < 600 ? 4 : 6).tickFormat(X.format));
+            yAxisG.transition(t).call(d3.axisLeft(y).ticks(6).tickFormat(Y.format));
+            xAxisLabel.text(X.label);
+            yAxisLabel.text(Y.label);
+
+            pointsG.selectAll('.scatter-point')
+                .data(scatterItems, d => d.state)
+                .join(
+                    enter => {
+                        const point = enter.append('g')
+                            .attr('class', 'scatter-point')
+                            .attr('transform', d => `translate(${x(d.x)},${y(d.y)})`)
+                            .style('opacity', 0)
+                            .style('cursor', 'pointer')
+                            .on('mouseover', (event, d) => showTooltip(event, tooltipHtml(d)))
+                            .on('mousemove', moveTooltip)
+                            .on('mouseout', hideTooltip)
+                            .on('click', (event, d) => toggleSelectedState(d.state));
+                        point.append('circle').attr('r', 5);
+                        point.append('text')
+                            .attr('x', 7)
+                            .attr('y', 3)
+                            .attr('font-size', 9)
+                            .text(d => nameToAbbrev.get(d.state) || d.state);
+                        return point;
+                    },
+                    update => update,
+                    exit => exit.attr('class', null).transition(t).style('opacity', 0).remove()
+                )
+                .transition(t)
+                .style('opacity', 1)
+                .attr('transform', d => `translate(${x(d.x)},${y(d.y)})`);
+
+            const fit = stateMetrics.linearFit(scatterItems.map(d => d.x), scatterItems.map(d => d.y));
+            if (fit) {
+                const [x0, x1] = x.domain();
+                fitLine.style('display', null)
+                    .transition(t)
+                    .attr('x1', x(x0))
+                    .attr('y1', y(fit.intercept + fit.slope * x0))
+                    .attr('x2', x(x1))
+                    .attr('y2', y(fit.intercept + fit.slope * x1));
+                fitText.text(`Least-squares fit across ${scatterItems.length} states: R² = ${fit.r2.toFixed(2)} ` +
+                    `(${stateMetrics.describeCorrelation(fit.r)})`);
+            } else {
+                fitLine.style('display', 'none');
+                fitText.text('No least-squares fit for these metrics');
+            }
+
+            markSelected();
+        }
+
+        // Selected state: orange point on top of the others (no re-render needed)
+        function markSelected() {
+            const selected = appState.get('state');
+            pointsG.selectAll('.scatter-point')
+                .classed('scatter-selected', d => d.state === selected)
+                .filter(d => d.state === selected)
+                .raise();
+        }
+
+        renderStateScatter();
+
+        chartExport.register({
+            container: '#state-scatter-container',
+            name: 'state-scatter',
+            rows: () => {
+                const X = metricFor(axisKey('scatterX', DEFAULT_X));
+                const Y = metricFor(axisKey('scatterY', DEFAULT_Y));
+                return scatterItems.map(d => ({ State: d.state, [X.label]: d.x, [Y.label]: d.y }));
+            }
+        });
+
+        chartA11y.register({
+            container: '#state-scatter-container',
+            title: () => `${metricFor(axisKey('scatterY', DEFAULT_Y)).label} against ${metricFor(axisKey('scatterX', DEFAULT_X)).label}`,
+            marks: '.scatter-point',
+            markName: 'states',
+            label: d => `${d.state}: ${pointFigures(d).join(', ')}` + (d.state === appState.get('state') ? ', selected' : ''),
+            selectable: true
+        });
+
+        appState.on('scatterX', renderStateScatter);
+        appState.on('scatterY', renderStateScatter);
+        appState.on('scatterLanguage', renderStateScatter);
+        appState.on('year', renderStateScatter);
+        appState.on('includeNonStates', renderStateScatter);
+        appState.on('state', markSelected);
+        onContainerResize('#state-scatter-container', renderStateScatter);
+    } catch (err) {
+        console.error('Error rendering state scatterplot:', err);
+    }
+});
@@ -0,0 +1,102 @@
+// Keeps the page state (appState) in the URL hash so any view can be reloaded or shared,
+// e.g. index.html#state=California&map=Tagalog&bar-english=0
+//
+// The hash is read once when this script loads, before the charts render, so every chart
+// starts from the restored values; afterwards each change rewrites the hash in place.
+const urlHash = (function() {
+    // appState key -> hash parameter. Values equal to the default are left out of the hash.
+    const PARAMS = [
+        { key: "state", param: "state", type: "state" },
+        { key: "year", param: "year", type: "string" },
+        { key: "palette", param: "palette", type: "string" },
+        { key: "includeNonStates", param: "dc-pr", type: "boolean", defaultValue: true },
+        { key: "changeFrom", param: "change-from", type: "string" },
+        { key: "changeTo", param: "change-to", type: "string" },
+        { key: "mapMetric", param: "metric", type: "string" },
+        { key: "mapClasses", param: "map-classes", type: "string" },
+        { key: "mapMode", param: "map-mode", type: "string" },
+        { key: "tableSort", param: "table-sort", type: "string" },
+        { key: "tableFilter", param: "table-filter", type: "string" },
+        { key: "pieGroupBy", param: "pie-by", type: "string" },
+        { key: "diversityIndex", param: "diversity", type: "string" },
+        { key: "diversitySort", param: "diversity-sort", type: "string" },
+        { key: "compare", param: "compare", type: "string" },
+        { key: "compareEnglish", param: "compare-english", type: "boolean", defaultValue: true },
+        { key: "familyEnglish", param: "family-english", type: "boolean", defaultValue: true },
+        { key: "dotLanguage", param: "dot", type: "string" },
+        { key: "dotPinned", param: "dot-pinned", type: "string" },
+        { key: "dotGroup", param: "dot-family", type: "string" },
+        { key: "dotScale", param: "dot-scale", type: "string" },
+        { key: "dotMajor", param: "dot-major", type: "boolean", defaultValue: false },
+        { key: "barEnglish", param: "bar-english", type: "boolean", defaultValue: true },
+        { key: "barSpanish", param: "bar-spanish", type: "boolean", defaultValue: true },
+        { key: "barGroupBy", param: "bar-by", type: "string" },
+        { key: "barMode", param: "bar-mode", type: "string" },
+        { key: "boxplotGroupBy", param: "boxplot-by", type: "string" },
+        { key: "epClasses", param: "ep-classes", type: "string" },
+        { key: "epMode", param: "ep-mode", type: "string" },
+        { key: "bivariateX", param: "bivariate-x", type: "string" },
+        { key: "bivariateY", param: "bivariate-y", type: "string" },
+        { key: "scatterX", param: "scatter-x", type: "string" },
+        { key: "scatterY", param: "scatter-y", type: "string" },
+        { key: "scatterLanguage", param: "scatter-language", type: "string" },
+        { key: "histNationwide", param: "nationwide", type: "boolean", defaultValue: true },
+        { key: "proficiencyLevel", param: "proficiency-by", type: "string" },
+        { key: "mapLanguage", param: "map", type: "string" },
+        { key: "langClasses", param: "lang-classes", type: "string" },
+        { key: "langMode", param: "lang-mode", type: "string" },
+        { key: "moeFlag", param: "moe-flag", type: "string" }
+    ];
+
+    function parseValue(spec, raw) {
+        if (raw === null || raw === "") return null;
+        switch (spec.type) {
+            case "boolean": return !(raw === "0" || raw === "false");
+            case "state": return dataLayer.canonicalStateName(raw);
+            default: return raw;
+        }
+    }
+
+    function formatValue(spec, value) {
+        if (value === null || value === undefined) return null;
+        if (spec.type === "boolean") {
+            if (value === spec.defaultValue) return null;
+            return value ? "1" : "0";
+        }
+        return String(value);
+    }
+
+    let restoring = false;
+
+    // Apply the parameters of the current hash to appState
+    function restore() {
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ""));
+        restoring = true;
+        PARAMS.forEach(spec => appState.set(spec.key, parseValue(spec, params.get(spec.param))));
+        restoring = false;
+    }
+
+    // Rewrite the hash from appState (replaceState: no history entry per keystroke)
+    function write() {
+        if (restoring) return;
+        const params = new URLSearchParams();
+        PARAMS.forEach(spec => {
+            const value = formatValue(spec, appState.get(spec.key));
+            if (value !== null) params.set(spec.param, value);
+        });
+        const hash = params.toString();
+        if (hash === window.location.hash.replace(/^#/, "")) return;
+        const url = window.location.pathname + window.location.search + (hash ? "#" + hash : "");
+        window.history.replaceState(null, "", url);
+    }
+
+    restore();
+    PARAMS.forEach(spec => appState.on(spec.key, write));
+    // Links pasted or edited while the page is open (rewritten in canonical form)
+    window.addEventListener("hashchange", () => {
+        restore();
+        write();
+    });
+
+    return { restore, write };
+})();